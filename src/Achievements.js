@@ -0,0 +1,205 @@
+/**
+ * Achievements.js - Achievement Registry & Persistent Unlocks
+ * Each achievement listens for simulation events and measures progress
+ * toward its target when one fires. Run achievements keep the best single
+ * run; lifetime ones add every run together. AchievementBook stores
+ * progress and unlock dates between sessions.
+ */
+
+import { SIM_EVENTS } from './Simulation.js';
+import { loadData, saveData } from './Storage.js';
+
+const registry = {};
+
+/**
+ * @param {string} id - Stored key, so never rename a shipped achievement
+ * @param {object} definition:
+ *   name, description, icon
+ *   events              - SIM_EVENTS values that trigger a check
+ *   target              - progress needed to unlock
+ *   progress(sim, data) - this run's progress when the event fires
+ *   lifetime            - true to add runs together instead of keeping the best
+ */
+export function registerAchievement(id, definition) {
+    registry[id] = {
+        icon: '★',
+        target: 1,
+        lifetime: false,
+        ...definition,
+        id
+    };
+}
+
+export function getAchievement(id) {
+    return registry[id];
+}
+
+export function getAchievements() {
+    return Object.values(registry);
+}
+
+// ============================================
+// BUILT-IN ACHIEVEMENTS
+// ============================================
+// Pulse kills, plus bomb clears that dissolve many clots at once
+const KILL_EVENTS = [SIM_EVENTS.CLOT_DESTROYED, SIM_EVENTS.CLOTS_DISSOLVED];
+
+registerAchievement('firstClot', {
+    name: 'Thrombolysis',
+    description: 'Destroy your first clot',
+    icon: '💥',
+    events: KILL_EVENTS,
+    progress: sim => sim.stats.clotsDestroyed
+});
+
+registerAchievement('clotBuster', {
+    name: 'Clot Buster',
+    description: 'Destroy 500 clots across all runs',
+    icon: '🩸',
+    events: KILL_EVENTS,
+    target: 500,
+    lifetime: true,
+    progress: sim => sim.stats.clotsDestroyed
+});
+
+registerAchievement('cascade', {
+    name: 'Cascade',
+    description: 'Reach a 10x combo',
+    icon: '🔥',
+    events: [SIM_EVENTS.COMBO],
+    target: 10,
+    progress: (sim, { combo }) => combo
+});
+
+// Whole seconds since the run began - campaign phases don't restart it
+const runSeconds = sim => Math.floor(sim.time / 1000);
+
+registerAchievement('steadyRhythm', {
+    name: 'Steady Rhythm',
+    description: 'Survive for 60 seconds in one run',
+    icon: '💓',
+    events: [SIM_EVENTS.HEARTBEAT],
+    target: 60,
+    progress: sim => runSeconds(sim)
+});
+
+registerAchievement('ironHeart', {
+    name: 'Iron Heart',
+    description: 'Survive for 3 minutes in one run',
+    icon: '🫀',
+    events: [SIM_EVENTS.HEARTBEAT],
+    target: 180,
+    progress: sim => runSeconds(sim)
+});
+
+registerAchievement('bossSlayer', {
+    name: 'Thrombectomy',
+    description: 'Dissolve the boss thrombus',
+    icon: '👑',
+    events: [SIM_EVENTS.BOSS_DEFEATED],
+    progress: () => 1
+});
+
+// Whole-run conditions are judged when a run ends, in either mode
+const RUN_END_EVENTS = [SIM_EVENTS.GAME_OVER, SIM_EVENTS.VICTORY];
+
+registerAchievement('perfectSeal', {
+    name: 'Perfect Seal',
+    description: 'Finish a run of at least 60 seconds without a clot escaping',
+    icon: '🛡',
+    events: RUN_END_EVENTS,
+    target: 60,
+    progress: sim => sim.stats.clotsEscaped === 0 ? runSeconds(sim) : 0
+});
+
+registerAchievement('unassisted', {
+    name: 'Unassisted',
+    description: 'Finish a run of at least 60 seconds without collecting a power-up',
+    icon: '✋',
+    events: RUN_END_EVENTS,
+    target: 60,
+    progress: sim => sim.stats.powerUpsCollected === 0 ? runSeconds(sim) : 0
+});
+
+// ============================================
+// ACHIEVEMENT BOOK
+// ============================================
+export class AchievementBook {
+    constructor() {
+        const saved = loadData('achievements', {});
+        this.unlocked = saved.unlocked ?? {}; // id -> ISO date
+        this.best = saved.best ?? {};
+        this.totals = saved.totals ?? {};
+        this.run = {};
+        this.tracking = false;
+    }
+
+    save() {
+        saveData('achievements', { unlocked: this.unlocked, best: this.best, totals: this.totals });
+    }
+
+    /**
+     * Listens to the simulation for every achievement's event.
+     * onUnlock(achievement) is called as each one is earned.
+     */
+    attach(sim, onUnlock) {
+        this.sim = sim;
+        this.onUnlock = onUnlock;
+        const events = new Set(getAchievements().flatMap(achievement => achievement.events));
+        events.forEach(event => sim.on(event, data => this.check(event, data)));
+    }
+
+    // Replays pass tracking = false so rewatching a run earns nothing
+    startRun(tracking) {
+        this.finishRun();
+        this.tracking = tracking;
+    }
+
+    // Folds the run's progress into the stored bests and totals
+    finishRun() {
+        Object.entries(this.run).forEach(([id, value]) => {
+            if (registry[id].lifetime) {
+                this.totals[id] = (this.totals[id] ?? 0) + value;
+            } else {
+                this.best[id] = Math.max(this.best[id] ?? 0, value);
+            }
+        });
+        if (Object.keys(this.run).length > 0) this.save();
+        this.run = {};
+        this.tracking = false;
+    }
+
+    check(event, data) {
+        if (!this.tracking) return;
+        getAchievements().forEach(achievement => {
+            if (!achievement.events.includes(event)) return;
+            const { id } = achievement;
+            this.run[id] = Math.max(this.run[id] ?? 0, achievement.progress(this.sim, data));
+            if (!this.isUnlocked(id) && this.getProgress(id) >= achievement.target) this.unlock(achievement);
+        });
+    }
+
+    unlock(achievement) {
+        this.unlocked[achievement.id] = new Date().toISOString();
+        this.save();
+        this.onUnlock?.(achievement);
+    }
+
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+
+    getProgress(id) {
+        const run = this.run[id] ?? 0;
+        return registry[id].lifetime ? (this.totals[id] ?? 0) + run : Math.max(this.best[id] ?? 0, run);
+    }
+
+    // Every achievement with its progress and unlock date, for the gallery
+    getAll() {
+        return getAchievements().map(achievement => ({
+            ...achievement,
+            progress: Math.min(this.getProgress(achievement.id), achievement.target),
+            unlockedAt: this.unlocked[achievement.id] ?? null
+        }));
+    }
+}
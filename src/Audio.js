@@ -0,0 +1,246 @@
+/**
+ * Audio.js - Procedural Sound Engine
+ * Every sound is synthesized with Web Audio, so no asset files are needed.
+ * A heartbeat bed on the music bus plays on each simulated cardiac beat,
+ * so its tempo follows the heart rate and difficulty, and one-shot effects
+ * play on the SFX bus.
+ */
+
+const CRITICAL_BEEP_INTERVAL = 700; // ms between warning beeps while CRS is critical
+
+// Bass notes played under each heartbeat (A minor: A, A, F, G)
+const BASS_LINE = [110, 110, 87.31, 98];
+
+// ============================================
+// AUDIO ENGINE
+// ============================================
+export class AudioEngine {
+    constructor() {
+        this.ctx = null;
+        this.master = null;
+        this.musicBus = null;
+        this.sfxBus = null;
+        this.noiseBuffer = null;
+
+        this.volumes = { master: 0.8, music: 0.6, sfx: 0.8 };
+        this.muted = false;
+        // Set while replays fast-forward so skipped steps stay quiet
+        this.silenced = false;
+
+        this.beatIndex = 0;
+        this.criticalTimer = 0;
+    }
+
+    /**
+     * Browsers only allow audio after a user gesture, so the context is
+     * created (or resumed) from the first start click.
+     */
+    unlock() {
+        if (!this.ctx) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.ctx = new AudioContextClass();
+            this.master = this.ctx.createGain();
+            this.musicBus = this.ctx.createGain();
+            this.sfxBus = this.ctx.createGain();
+            this.musicBus.connect(this.master);
+            this.sfxBus.connect(this.master);
+            this.master.connect(this.ctx.destination);
+            this.noiseBuffer = this.createNoiseBuffer();
+            this.applyVolumes();
+        }
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+    }
+
+    isReady() {
+        return this.ctx !== null && this.ctx.state === 'running' && !this.muted && !this.silenced;
+    }
+
+    setVolumes({ master, music, sfx, muted }) {
+        this.volumes = { master, music, sfx };
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.musicBus.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+        this.sfxBus.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+    }
+
+    createNoiseBuffer() {
+        const length = this.ctx.sampleRate;
+        const buffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        // Audio noise is cosmetic, so it doesn't need the seeded PRNG
+        for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    // ============================================
+    // HEARTBEAT BED & WARNINGS
+    // ============================================
+    /**
+     * Advances the critical warning. Only called while the game is
+     * playing, so it stops on pause and at the end of a run.
+     */
+    update(deltaTime, critical) {
+        if (critical) {
+            this.criticalTimer -= deltaTime;
+            if (this.criticalTimer <= 0) {
+                this.criticalTimer = CRITICAL_BEEP_INTERVAL;
+                this.play('critical');
+            }
+        } else {
+            this.criticalTimer = 0;
+        }
+    }
+
+    reset() {
+        this.beatIndex = 0;
+        this.criticalTimer = 0;
+    }
+
+    playHeartbeat() {
+        if (!this.isReady()) return;
+        const now = this.ctx.currentTime;
+        // "Lub-dub" - two pitch-dropping thumps, the second softer
+        this.thump(now, 0.9);
+        this.thump(now + 0.18, 0.6);
+
+        const freq = BASS_LINE[this.beatIndex % BASS_LINE.length];
+        this.tone({ bus: this.musicBus, type: 'triangle', freq, start: now, duration: 0.5, gain: 0.12, filter: 600 });
+        this.beatIndex++;
+    }
+
+    thump(start, level) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(70, start);
+        osc.frequency.exponentialRampToValueAtTime(38, start + 0.12);
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.6 * level, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.16);
+        osc.connect(gain).connect(this.musicBus);
+        osc.start(start);
+        osc.stop(start + 0.2);
+    }
+
+    // ============================================
+    // SOUND EFFECTS
+    // ============================================
+    play(name, level = 1) {
+        if (!this.isReady()) return;
+        const now = this.ctx.currentTime;
+        const bus = this.sfxBus;
+
+        switch (name) {
+            case 'fire':
+                this.tone({ bus, type: 'square', freq: 880, endFreq: 440, start: now, duration: 0.06, gain: 0.08 * level, filter: 3000 });
+                break;
+            case 'hit':
+                this.noise({ bus, start: now, duration: 0.05, gain: 0.15, filter: 2500 });
+                break;
+            case 'destroy':
+                this.noise({ bus, start: now, duration: 0.3, gain: 0.35, filter: 900 });
+                this.tone({ bus, type: 'sine', freq: 160, endFreq: 50, start: now, duration: 0.25, gain: 0.4 });
+                break;
+            case 'escape':
+                // Two-tone alarm
+                this.tone({ bus, type: 'sawtooth', freq: 520, start: now, duration: 0.14, gain: 0.15, filter: 2000 });
+                this.tone({ bus, type: 'sawtooth', freq: 390, start: now + 0.15, duration: 0.2, gain: 0.15, filter: 2000 });
+                break;
+            case 'powerup':
+                [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+                    this.tone({ bus, type: 'triangle', freq, start: now + i * 0.06, duration: 0.12, gain: 0.18 });
+                });
+                break;
+            case 'merge':
+                // Low, wet squelch
+                this.tone({ bus, type: 'sine', freq: 90, endFreq: 140, start: now, duration: 0.18, gain: 0.25, filter: 500 });
+                this.noise({ bus, start: now, duration: 0.12, gain: 0.1, filter: 400 });
+                break;
+            case 'damage':
+                // Crunch with a falling groan
+                this.noise({ bus, start: now, duration: 0.25, gain: 0.4, filter: 1200 });
+                this.tone({ bus, type: 'sawtooth', freq: 220, endFreq: 70, start: now, duration: 0.4, gain: 0.2, filter: 900 });
+                break;
+            case 'bomb':
+                this.noise({ bus, start: now, duration: 0.8, gain: 0.5, filter: 300 });
+                this.tone({ bus, type: 'sine', freq: 120, endFreq: 30, start: now, duration: 0.7, gain: 0.5 });
+                break;
+            case 'charged':
+                this.tone({ bus, type: 'triangle', freq: 660, start: now, duration: 0.1, gain: 0.15 });
+                this.tone({ bus, type: 'triangle', freq: 990, start: now + 0.1, duration: 0.18, gain: 0.15 });
+                break;
+            case 'defibrillator':
+                // Capacitor whine into a heavy discharge
+                this.tone({ bus, type: 'sawtooth', freq: 400, endFreq: 2400, start: now, duration: 0.15, gain: 0.1, filter: 4000 });
+                this.noise({ bus, start: now + 0.15, duration: 0.5, gain: 0.5, filter: 1500 });
+                this.tone({ bus, type: 'square', freq: 80, endFreq: 35, start: now + 0.15, duration: 0.5, gain: 0.3, filter: 600 });
+                break;
+            case 'achievement':
+                // Rising major arpeggio with a held top note
+                [659.25, 830.61, 987.77, 1318.51].forEach((freq, i) => {
+                    this.tone({ bus, type: 'triangle', freq, start: now + i * 0.08, duration: i === 3 ? 0.4 : 0.12, gain: 0.15 });
+                });
+                break;
+            case 'shield':
+                this.tone({ bus, type: 'sine', freq: 1200, endFreq: 300, start: now, duration: 0.35, gain: 0.25 });
+                this.noise({ bus, start: now, duration: 0.2, gain: 0.15, filter: 4000 });
+                break;
+            case 'critical':
+                this.tone({ bus, type: 'square', freq: 988, start: now, duration: 0.09, gain: 0.1, filter: 2500 });
+                break;
+            case 'boss':
+                this.tone({ bus, type: 'sawtooth', freq: 55, endFreq: 40, start: now, duration: 1.2, gain: 0.3, filter: 400 });
+                break;
+        }
+    }
+
+    /**
+     * Enveloped oscillator with an optional pitch sweep (endFreq) and
+     * low-pass filter
+     */
+    tone({ bus, type, freq, endFreq = null, start, duration, gain, filter = null }) {
+        const osc = this.ctx.createOscillator();
+        const amp = this.ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (endFreq) osc.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+
+        amp.gain.setValueAtTime(0.0001, start);
+        amp.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+        amp.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        let node = osc;
+        if (filter) {
+            const lowpass = this.ctx.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = filter;
+            node = node.connect(lowpass);
+        }
+        node.connect(amp).connect(bus);
+        osc.start(start);
+        osc.stop(start + duration + 0.02);
+    }
+
+    noise({ bus, start, duration, gain, filter }) {
+        const source = this.ctx.createBufferSource();
+        const bandpass = this.ctx.createBiquadFilter();
+        const amp = this.ctx.createGain();
+        source.buffer = this.noiseBuffer;
+        bandpass.type = 'bandpass';
+        bandpass.frequency.value = filter;
+
+        amp.gain.setValueAtTime(gain, start);
+        amp.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        source.connect(bandpass).connect(amp).connect(bus);
+        source.start(start);
+        source.stop(start + duration);
+    }
+}
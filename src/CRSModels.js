@@ -0,0 +1,167 @@
+/**
+ * CRSModels.js - Pluggable Clot Risk Score Formulas
+ * A model turns each clot (and the boss) into per-second CRS contributions,
+ * broken down by named terms so the HUD can show what is driving the risk.
+ * CRSCalculator owns the score itself and routes every change through the
+ * active model.
+ */
+
+// Relative mass of a CRS source - clots use their shrink scale, anything else its radius
+function sourceMass(source) {
+    const scale = source.getScale ? source.getScale() : (source.radius / 50);
+    return scale * scale; // Squared for more dramatic effect
+}
+
+// Local blood speed at a source, in flow units (1 = core flow)
+function localFlowSpeed(source, context) {
+    if (!context.flowField) return 1;
+    const flow = context.flowField.sample(source.x, source.y);
+    return Math.sqrt(flow.vx * flow.vx + flow.vy * flow.vy);
+}
+
+// ============================================
+// BASE MODEL
+// ============================================
+export class CRSModel {
+    constructor() {
+        this.id = 'base';
+        this.name = 'Base';
+        this.description = '';
+        this.terms = {}; // term key -> HUD label
+        this.healRelief = 25;
+    }
+
+    reset() {}
+
+    // Advances any model state that changes over time
+    update(deltaTime) {}
+
+    /**
+     * Per-second CRS contribution of one source, by term
+     * @param {object} source - Clot or boss with x, y, radius and inStagnation
+     * @param {object} context - { flowField, difficulty }
+     */
+    rates(source, context) {
+        return {};
+    }
+
+    escapePenalty(clot) {
+        return 25 + (clot.getScale() * 15);
+    }
+
+    onEscape(clot) {}
+
+    // Larger clots give more CRS reduction
+    destroyRelief(clotScale) {
+        return 5 * clotScale;
+    }
+}
+
+// ============================================
+// RESIDENCE MODEL (default)
+// CRS = Σ(ResidenceTime × ClotMass × Stagnation)
+// ============================================
+export class ResidenceModel extends CRSModel {
+    constructor() {
+        super();
+        this.id = 'residence';
+        this.name = 'Residence Time';
+        this.description = 'Clot mass accumulating over time, amplified in the hinge zones';
+        this.terms = { residence: 'RESIDENCE', stagnation: 'STAGNATION' };
+        this.stagnationMultiplier = 2.5; // Residence builds faster in low-shear hinge zones
+    }
+
+    rates(source) {
+        const base = sourceMass(source) * 2;
+        return {
+            residence: base,
+            stagnation: source.inStagnation ? base * (this.stagnationMultiplier - 1) : 0
+        };
+    }
+}
+
+// ============================================
+// SHEAR ACTIVATION MODEL
+// Platelets activate under high shear in the jet, then deposit where
+// shear is low. Risk = residence × shear activation + low-shear deposition.
+// ============================================
+export class ShearActivationModel extends CRSModel {
+    constructor() {
+        super();
+        this.id = 'shear';
+        this.name = 'Shear Activation';
+        this.description = 'High-shear platelet activation plus deposition in slow flow';
+        this.terms = { activation: 'SHEAR ACTIVATION', deposition: 'DEPOSITION' };
+    }
+
+    rates(source, context) {
+        const mass = sourceMass(source);
+        const shear = localFlowSpeed(source, context);
+        // Activation builds with exposure time, saturating after ~4 seconds
+        const exposure = 0.5 + Math.min(1, (source.residenceTime ?? 0) / 4000);
+        return {
+            activation: mass * 1.2 * shear * shear * exposure,
+            deposition: mass * 4 * Math.max(0, 1 - shear) * (source.inStagnation ? 1.5 : 1)
+        };
+    }
+}
+
+// ============================================
+// VIRCHOW MODEL
+// Virchow's triad: stasis, endothelial injury and hypercoagulability.
+// Escaped clots injure the valve, raising risk until it heals.
+// ============================================
+export class VirchowModel extends CRSModel {
+    constructor() {
+        super();
+        this.id = 'virchow';
+        this.name = "Virchow's Triad";
+        this.description = 'Stasis, endothelial injury from escapes, and hypercoagulability';
+        this.terms = { stasis: 'STASIS', injury: 'INJURY', hypercoagulability: 'HYPERCOAG' };
+        this.injuryHealRate = 0.1; // Fraction of injury healed per second
+    }
+
+    reset() {
+        this.injury = 0;
+    }
+
+    update(deltaTime) {
+        this.injury *= Math.exp(-this.injuryHealRate * deltaTime / 1000);
+    }
+
+    rates(source, context) {
+        const mass = sourceMass(source);
+        return {
+            stasis: mass * 4 * Math.max(0, 1 - localFlowSpeed(source, context)),
+            injury: mass * 1.5 * this.injury,
+            hypercoagulability: mass * 0.8 * (context.difficulty ?? 1)
+        };
+    }
+
+    // Part of the escape cost moves into the lasting injury term
+    escapePenalty(clot) {
+        return 20 + (clot.getScale() * 12);
+    }
+
+    onEscape(clot) {
+        this.injury += 0.5 + clot.getScale() * 0.5;
+    }
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+export const CRS_MODELS = {
+    residence: ResidenceModel,
+    shear: ShearActivationModel,
+    virchow: VirchowModel
+};
+
+export const DEFAULT_CRS_MODEL = 'residence';
+
+export function createCRSModel(id) {
+    const Model = CRS_MODELS[id] ?? CRS_MODELS[DEFAULT_CRS_MODEL];
+    const model = new Model();
+    model.reset();
+    return model;
+}
@@ -0,0 +1,78 @@
+/**
+ * Cardiac.js - Cardiac Cycle Clock
+ * Alternates systole (ejection) and diastole (filling) at the phase's heart
+ * rate. Flow speed, spawning, pulse strength and the background pulse all
+ * read the current phase. Atrial fibrillation draws every beat length from
+ * a range, giving an irregular rhythm.
+ */
+
+import { CARDIAC } from './Config.js';
+
+export const CARDIAC_PHASES = {
+    SYSTOLE: 'systole',
+    DIASTOLE: 'diastole'
+};
+
+// Beat length in ms from a phase config: fixed pulseCooldown, or AF's min/max range
+function nextBeatLength(levelConfig, rng) {
+    if (levelConfig.pulseCooldown) return levelConfig.pulseCooldown;
+    return rng.range(levelConfig.pulseCooldownMin, levelConfig.pulseCooldownMax);
+}
+
+// ============================================
+// CARDIAC CYCLE
+// ============================================
+export class CardiacCycle {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.beatTime = 0;
+        this.beatLength = 0;
+        this.beats = 0;
+    }
+
+    /**
+     * Advances the clock. Returns true when a new beat (systole onset)
+     * starts on this step. The first step of a run always starts a beat.
+     * @param {number} rateScale - Heart rate multiplier, e.g. from difficulty
+     */
+    update(deltaTime, levelConfig, rng, rateScale = 1) {
+        this.beatTime += deltaTime;
+        if (this.beatTime < this.beatLength) return false;
+
+        this.beatTime = this.beatLength > 0 ? this.beatTime - this.beatLength : 0;
+        this.beatLength = nextBeatLength(levelConfig, rng) / Math.min(CARDIAC.maxRateScale, rateScale);
+        this.beats++;
+        return true;
+    }
+
+    getPhase() {
+        return this.getProgress() < CARDIAC.systoleFraction ? CARDIAC_PHASES.SYSTOLE : CARDIAC_PHASES.DIASTOLE;
+    }
+
+    isSystole() {
+        return this.getPhase() === CARDIAC_PHASES.SYSTOLE;
+    }
+
+    // 0..1 through the current beat
+    getProgress() {
+        return this.beatLength > 0 ? Math.min(1, this.beatTime / this.beatLength) : 0;
+    }
+
+    // 0..1 ejection envelope - peaks mid-systole, zero through diastole
+    getIntensity() {
+        const progress = this.getProgress();
+        if (progress >= CARDIAC.systoleFraction) return 0;
+        return Math.sin(Math.PI * progress / CARDIAC.systoleFraction);
+    }
+
+    getFlowFactor() {
+        return CARDIAC.diastoleFlow + CARDIAC.systolePeakFlow * this.getIntensity();
+    }
+
+    getHeartRate() {
+        return this.beatLength > 0 ? Math.round(60000 / this.beatLength) : 0;
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Config.js - Game Constants & Level Tuning
+ * Shared by the headless simulation and the browser renderer
+ */
+
+// ============================================
+// GAME CONSTANTS
+// ============================================
+export const COLORS = {
+    primary: '#c94f52',
+    primaryLight: '#f8c5be',
+    primaryDark: '#a2272c',
+    clotColors: ['#c94f52', '#a2272c', '#8b1e23', '#d4605f'],
+    plateletColors: ['#fde4df', '#f3b3ab', '#d98a84'],
+    organizedColors: ['#8a3a3c', '#5e1d22', '#3d1115'],
+    particleColors: ['#f8c5be', '#c94f52', '#ff8a8a', '#ffffff'],
+    powerUpColors: {
+        rapidFire: '#00ff88',
+        heal: '#4ade80',
+        multiShot: '#fbbf24',
+        shield: '#60a5fa'
+    }
+};
+
+// How picking up a power-up that is already active stacks
+export const POWERUP_STACKING = {
+    REFRESH: 'refresh', // Timer restarts at the full duration
+    EXTEND: 'extend', // Duration is added on, up to maxDuration
+    INSTANT: 'instant' // One-shot effect with no timer
+};
+
+// Power-up types - behaviour hooks live in the PowerUps.js registry.
+// weight sets the relative drop odds.
+export const POWERUP_TYPES = {
+    RAPID_FIRE: { name: 'Rapid Fire', duration: 5000, color: '#00ff88', icon: '⚡', stacking: POWERUP_STACKING.REFRESH, weight: 1, fireIntervalScale: 0.625 },
+    HEAL: { name: 'Heal', duration: 0, color: '#4ade80', icon: '💚', stacking: POWERUP_STACKING.INSTANT, weight: 1 },
+    MULTI_SHOT: { name: 'Triple Shot', duration: 6000, color: '#fbbf24', icon: '🔱', stacking: POWERUP_STACKING.REFRESH, weight: 1 },
+    SHIELD: { name: 'Shield', duration: 4000, color: '#60a5fa', icon: '🛡️', stacking: POWERUP_STACKING.REFRESH, weight: 1 },
+    // Thrombolytic - pulses pass through every clot they dissolve
+    TPA: { name: 'tPA Piercing', duration: 5000, maxDuration: 10000, color: '#f472b6', icon: '💉', stacking: POWERUP_STACKING.EXTEND, weight: 1 },
+    // Anticoagulant - clot motion and CRS build-up run at slowFactor
+    HEPARIN: { name: 'Heparin', duration: 5000, color: '#a78bfa', icon: '⏳', stacking: POWERUP_STACKING.REFRESH, weight: 1, slowFactor: 0.5 },
+    MAGNET: { name: 'Magnet', duration: 8000, maxDuration: 16000, color: '#f97316', icon: '🧲', stacking: POWERUP_STACKING.EXTEND, weight: 1, pullSpeed: 260 },
+    // Dissolves every clot on screen
+    ANTICOAG_BOMB: { name: 'Anticoagulant Bomb', duration: 0, color: '#e879f9', icon: '💣', stacking: POWERUP_STACKING.INSTANT, weight: 0.5, pointsPerClot: 25 }
+};
+
+// Fixed-timestep simulation - gameplay is identical at any refresh rate
+export const SIM_STEP = 1000 / 60; // ms per simulation tick
+
+// Hemodynamics inside the hinge stagnation zones
+export const STAGNATION = {
+    flowFactor: 0.45, // Flow field velocity left in the zones - clots drift slower
+    growthRate: 0.004, // Radius gained per ms while stagnant
+    flushPower: 1.5 // Pulse hits inside a zone flush clots harder
+};
+
+// Valve leaflet integrity - clots that strike the player's valve damage it
+export const VALVE = {
+    maxIntegrity: 3, // Strikes the leaflet survives
+    invulnerability: 1500 // ms of blinking grace after each strike
+};
+
+// Valve designs picked on the start screen - traits live in ValveTypes.js.
+// barrels are pulse x offsets; unlock needs a lifetime totalScore and/or an
+// achievement id, and valves without one are unlocked from the start.
+export const VALVE_TYPES = {
+    bioprosthetic: {
+        name: 'Bioprosthetic',
+        icon: 'assets/player_ship.svg',
+        shape: 'leaflet',
+        trait: 'Biocompatible: power-ups last 25% longer',
+        width: 50, height: 30, followRate: 7.7,
+        barrels: [0], shotPower: 1,
+        powerUpDurationScale: 1.25
+    },
+    bileaflet: {
+        name: 'Bileaflet Mechanical',
+        icon: 'assets/valve_body.svg',
+        shape: 'bileaflet',
+        trait: 'Pyrolytic carbon: one extra integrity',
+        width: 58, height: 30, followRate: 6.5,
+        barrels: [-10, 10], shotPower: 0.6,
+        integrityBonus: 1,
+        unlock: { totalScore: 3000 }
+    },
+    tiltingDisc: {
+        name: 'Tilting Disc',
+        icon: 'assets/tilting_disc.svg',
+        shape: 'disc',
+        trait: 'Eccentric jet: pulses travel 30% faster',
+        width: 40, height: 26, followRate: 11,
+        barrels: [0], shotPower: 1.1,
+        pulseSpeedScale: 1.3,
+        unlock: { totalScore: 10000 }
+    },
+    tavr: {
+        name: 'TAVR',
+        icon: 'assets/tavr_frame.svg',
+        shape: 'stent',
+        trait: 'Nitinol frame: defibrillator charges 50% faster',
+        width: 36, height: 34, followRate: 8.5,
+        barrels: [-8, 8], shotPower: 0.55,
+        specialChargeScale: 1.5,
+        unlock: { achievement: 'bossSlayer' }
+    }
+};
+
+// Weapon stats bought between campaign phases - see Weapon.js.
+// values[tier] is the stat at each tier; costs[tier] buys the next one.
+export const WEAPON_UPGRADES = {
+    fireRate: { name: 'Fire Rate', unit: 'ms', values: [120, 105, 92, 80, 70], costs: [4, 7, 11, 16] },
+    damage: { name: 'Pulse Damage', unit: '×', values: [1, 1.25, 1.5, 1.75, 2], costs: [4, 7, 11, 16] },
+    size: { name: 'Pulse Size', unit: 'px', values: [8, 10, 12, 14], costs: [3, 6, 10] },
+    spread: { name: 'Spread', unit: ' shots', values: [1, 2, 3], costs: [8, 14] },
+    pierce: { name: 'Pierce', unit: ' clots', values: [0, 1, 2], costs: [8, 14] }
+};
+
+// ATP - the upgrade currency, earned from kills and cleared phases
+export const CURRENCY = {
+    name: 'ATP',
+    perKill: 1,
+    perPhase: 5
+};
+
+// Defibrillator special - charged by combo hits and kills, released on demand.
+// (pulseCooldown in LEVELS is the cardiac cycle, not this.)
+export const DEFIBRILLATOR = {
+    maxCharge: 100,
+    chargePerComboHit: 0.25, // Per hit, times the current combo bonus (1-10)
+    chargePerKill: 6,
+    radius: 220, // Shockwave reach from the valve, px
+    power: 5, // Hit power dealt to every clot in reach
+    waveDuration: 450 // ms the shockwave ring takes to expand and fade
+};
+
+// Thrombus propagation - clots grow the longer they stay in the valve and
+// fuse when they touch, so threats left alone get harder to clear
+export const PROPAGATION = {
+    growthRate: 0.001, // Radius gained per ms in moving blood (STAGNATION.growthRate in the zones)
+    maxGrowth: 1.25, // Growth cap relative to the clot's base radius
+    maxRadius: 110, // Hard cap for grown and merged clots
+    mergeOverlap: 0.35, // Share of the smaller radius two clots must overlap to fuse
+    maxStrands: 14, // Fibrin/platelet detail kept by a merged clot
+    maxPlatelets: 9
+};
+
+// Cardiac cycle - see Cardiac.js
+export const CARDIAC = {
+    systoleFraction: 0.35, // Share of each beat spent in systole
+    diastoleFlow: 0.7, // Flow multiplier while the ventricle fills
+    systolePeakFlow: 1.35, // Extra flow at the peak of ejection (mean flow stays ~1)
+    systolePulsePower: 1.5, // Pulses fired in systole hit harder...
+    systolePulseSpeed: 1.2, // ...and travel faster
+    difficultyRateScale: 0.25, // Heart rate gained per point of difficulty multiplier
+    maxRateScale: 1.6, // Cap on that speed-up
+    maxSpawnBurst: 3 // Most clots ejected on a single step
+};
+
+// Enemy archetypes - see Entities.js. Levels mix them through a spawnTable
+// of { type: weight }; phases without one spawn plain thrombi.
+export const CLOT_TYPES = {
+    THROMBUS: 'thrombus',
+    EMBOLUS: 'embolus',
+    FIBRIN_CHAIN: 'fibrinChain',
+    PLATELET_AGGREGATE: 'plateletAggregate',
+    ORGANIZED: 'organized'
+};
+
+export const GAME_MODES = {
+    CAMPAIGN: 'campaign',
+    ENDLESS: 'endless'
+};
+
+// ============================================
+// LEVEL CONFIGURATIONS
+// ============================================
+export const LEVELS = [
+    {
+        name: "Steady Laminar Flow",
+        description: "Basic hemodynamic stability training",
+        spawnRate: 2500,
+        clotSpeed: 0.8,
+        clotHealth: 1,
+        pulseCooldown: 800, // Cardiac cycle length in ms (75 BPM)
+        spawnTable: { thrombus: 7, plateletAggregate: 2, embolus: 1 },
+        targetScore: 500,
+        bossLevel: false
+    },
+    {
+        name: "Atrial Fibrillation",
+        description: "Irregular flow patterns detected",
+        spawnRate: 2000,
+        clotSpeed: 1.2,
+        clotHealth: 1,
+        pulseCooldown: null, // Irregular rhythm - each beat is drawn from the range below
+        pulseCooldownMin: 500,
+        pulseCooldownMax: 1500,
+        // Fibrillating atria shed emboli
+        spawnTable: { thrombus: 4, embolus: 4, plateletAggregate: 2, fibrinChain: 1 },
+        targetScore: 1000,
+        bossLevel: false
+    },
+    {
+        name: "Mechanical Stagnation",
+        description: "Critical thrombus formation",
+        spawnRate: 3000,
+        clotSpeed: 0.6,
+        clotHealth: 1,
+        pulseCooldown: 600, // 100 BPM
+        // Long stagnation lets thrombi organize
+        spawnTable: { thrombus: 3, organized: 3, fibrinChain: 2, plateletAggregate: 2 },
+        targetScore: 2000,
+        bossLevel: true,
+        bossHealth: 60, // Pulse hits to dissolve the boss
+        bossSize: 80
+    }
+];
+
+// Endless mode keeps the original infinite-run tuning
+export const ENDLESS_CONFIG = {
+    name: "Endless Run",
+    spawnRate: 2500,
+    clotSpeed: 1.0,
+    clotHealth: 1,
+    pulseCooldown: 800,
+    spawnTable: { thrombus: 5, embolus: 2, plateletAggregate: 2, fibrinChain: 1, organized: 1 }
+};
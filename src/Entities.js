@@ -0,0 +1,1173 @@
+/**
+ * Entities.js - Player, Projectiles, Clots, Boss & Power-ups
+ * Each entity owns its fixed-step update and its canvas drawing. Updates
+ * never touch the DOM, so entities run unchanged inside the headless simulation.
+ */
+
+import { pickPowerUp, getPowerUp } from './PowerUps.js';
+import { isInStagnationZone, circleCollision, calculateWobble, lerp, approach, frameDecay } from './Physics.js';
+import { COLORS, POWERUP_TYPES, STAGNATION, PROPAGATION, VALVE, DEFIBRILLATOR, CLOT_TYPES, ENDLESS_CONFIG } from './Config.js';
+
+// ============================================
+// PLAYER CLASS
+// ============================================
+// Tears across the leaflet, one more per point of lost integrity, with one to
+// spare for the bileaflet's extra point
+// (points are fractions of the leaflet's width and height)
+const LEAFLET_TEARS = [
+    [[-0.1, -0.45], [0.06, -0.22], [-0.06, 0.02], [0.04, 0.18]],
+    [[0.38, -0.12], [0.18, 0.02], [0.24, 0.18], [0.1, 0.32]],
+    [[-0.38, 0.1], [-0.2, 0.16], [-0.24, 0.3], [-0.1, 0.42]],
+    [[0.3, -0.4], [0.16, -0.3], [0.22, -0.18], [0.1, -0.06]]
+];
+
+export class Player {
+    // arena is the shared { width, height } of the play field
+    constructor(arena) {
+        this.arena = arena;
+        this.shape = 'leaflet';
+        this.width = 50;
+        this.height = 30;
+        this.x = arena.width / 2;
+        this.y = arena.height - 80;
+        this.prevX = this.x;
+        this.targetX = this.x;
+        this.followRate = 7.7; // Exponential follow speed toward the target, per second
+        this.moveSpeed = 480; // Keyboard/gamepad speed at full deflection, px/s
+        this.moveAxis = 0;
+        this.pulseTime = 0;
+        this.shieldBreakTimer = 0;
+        this.shieldBreakDuration = 400;
+        this.maxIntegrity = VALVE.maxIntegrity;
+        this.integrity = this.maxIntegrity;
+        this.invulnerableTimer = 0;
+    }
+
+    update(deltaTime) {
+        this.prevX = this.x;
+
+        if (this.moveAxis !== 0) {
+            // Direct movement - the pointer target follows so releasing the stick stops in place
+            this.x += this.moveAxis * this.moveSpeed * deltaTime / 1000;
+            this.targetX = this.x;
+        } else {
+            // Smooth lerp movement
+            this.x = approach(this.x, this.targetX, this.followRate, deltaTime);
+        }
+
+        // Clamp position
+        const halfWidth = this.width / 2;
+        this.x = Math.max(halfWidth, Math.min(this.arena.width - halfWidth, this.x));
+
+        this.pulseTime += deltaTime;
+        if (this.shieldBreakTimer > 0) this.shieldBreakTimer -= deltaTime;
+        if (this.invulnerableTimer > 0) this.invulnerableTimer -= deltaTime;
+    }
+
+    setTarget(x) {
+        this.targetX = x;
+    }
+
+    // Hitbox, handling and look of a VALVE_TYPES design
+    setValveType(type) {
+        this.shape = type.shape;
+        this.width = type.width;
+        this.height = type.height;
+        this.followRate = type.followRate;
+        this.maxIntegrity = VALVE.maxIntegrity;
+    }
+
+    // -1..1 from keys or an analog stick; 0 hands control back to the pointer target
+    setMoveAxis(axis) {
+        this.moveAxis = Math.max(-1, Math.min(1, axis));
+    }
+
+    // Runs must start from the same spot to stay reproducible
+    reset() {
+        this.x = this.arena.width / 2;
+        this.y = this.arena.height - 80;
+        this.prevX = this.x;
+        this.targetX = this.x;
+        this.moveAxis = 0;
+        this.shieldBreakTimer = 0;
+        this.integrity = this.maxIntegrity;
+        this.invulnerableTimer = 0;
+    }
+
+    isInvulnerable() {
+        return this.invulnerableTimer > 0;
+    }
+
+    // A clot struck the leaflet. Returns true once no integrity is left.
+    takeDamage() {
+        this.integrity = Math.max(0, this.integrity - 1);
+        this.invulnerableTimer = VALVE.invulnerability;
+        return this.integrity === 0;
+    }
+
+    breakShield() {
+        this.shieldBreakTimer = this.shieldBreakDuration;
+    }
+
+    drawShield(ctx, remaining, alpha = 1) {
+        const radius = this.getCollisionRadius() + 14;
+        const x = lerp(this.prevX, this.x, alpha);
+
+        if (remaining > 0) {
+            // Flicker during the final second as a warning
+            const flicker = remaining < 1000 ? (Math.sin(this.pulseTime * 0.04) > 0 ? 1 : 0.3) : 1;
+            const shimmer = 0.25 + Math.sin(this.pulseTime * 0.008) * 0.1;
+
+            ctx.save();
+            ctx.globalAlpha = flicker;
+            ctx.beginPath();
+            ctx.arc(x, this.y, radius, 0, Math.PI * 2);
+            const gradient = ctx.createRadialGradient(x, this.y, radius * 0.4, x, this.y, radius);
+            gradient.addColorStop(0, 'rgba(96, 165, 250, 0)');
+            gradient.addColorStop(1, `rgba(96, 165, 250, ${shimmer})`);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+            ctx.shadowColor = POWERUP_TYPES.SHIELD.color;
+            ctx.shadowBlur = 15;
+            ctx.strokeStyle = POWERUP_TYPES.SHIELD.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        if (this.shieldBreakTimer > 0) {
+            // Shattering ring expands and fades out
+            const progress = 1 - this.shieldBreakTimer / this.shieldBreakDuration;
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            ctx.strokeStyle = POWERUP_TYPES.SHIELD.color;
+            ctx.lineWidth = 4 * (1 - progress) + 1;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            ctx.arc(x, this.y, radius * (1 + progress), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    draw(ctx, alpha = 1) {
+        const pulseScale = 1 + Math.sin(this.pulseTime * 0.005) * 0.03;
+
+        ctx.save();
+        ctx.translate(lerp(this.prevX, this.x, alpha), this.y);
+        ctx.scale(pulseScale, pulseScale);
+        // Blink through the invulnerability window after a strike
+        if (this.isInvulnerable() && Math.floor(this.invulnerableTimer / 100) % 2 === 1) {
+            ctx.globalAlpha = 0.25;
+        }
+
+        switch (this.shape) {
+            case 'bileaflet':
+                this.drawBileaflet(ctx);
+                break;
+            case 'disc':
+                this.drawTiltingDisc(ctx);
+                break;
+            case 'stent':
+                this.drawStentFrame(ctx);
+                break;
+            default:
+                this.drawLeaflet(ctx, this.width, this.height);
+        }
+
+        // Leaflet damage
+        ctx.strokeStyle = 'rgba(40, 5, 8, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        LEAFLET_TEARS.slice(0, this.maxIntegrity - this.integrity).forEach(tear => {
+            ctx.beginPath();
+            tear.forEach(([tx, ty], i) => {
+                const px = tx * this.width;
+                const py = ty * this.height;
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        });
+
+        // Center detail
+        ctx.beginPath();
+        ctx.arc(0, 0, 5, 0, Math.PI * 2);
+        ctx.fillStyle = COLORS.primaryLight;
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    // Gradient fill and glowing outline for the current path
+    fillValvePath(ctx) {
+        const gradient = ctx.createLinearGradient(0, -this.height / 2, 0, this.height / 2);
+        gradient.addColorStop(0, COLORS.primaryLight);
+        gradient.addColorStop(0.5, COLORS.primary);
+        gradient.addColorStop(1, COLORS.primaryDark);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        ctx.shadowColor = COLORS.primary;
+        ctx.shadowBlur = 15;
+        ctx.strokeStyle = COLORS.primaryLight;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+
+    // Tissue leaflet - the bioprosthetic valve, and the TAVR's inner leaflet
+    drawLeaflet(ctx, width, height) {
+        ctx.beginPath();
+        ctx.moveTo(0, -height / 2);
+        ctx.bezierCurveTo(-width / 2, -height / 3, -width / 2, height / 3, 0, height / 2);
+        ctx.bezierCurveTo(width / 2, height / 3, width / 2, -height / 3, 0, -height / 2);
+        ctx.closePath();
+        this.fillValvePath(ctx);
+    }
+
+    // Two half-disc leaflets hinged inside a sewing ring
+    drawBileaflet(ctx) {
+        const w = this.width / 2;
+        const h = this.height / 2;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, w, h, 0, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.primary;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(0, -h * 0.85);
+            ctx.quadraticCurveTo(side * w * 1.2, 0, 0, h * 0.85);
+            ctx.closePath();
+            this.fillValvePath(ctx);
+        });
+    }
+
+    // A single disc tilted open on an off-centre strut
+    drawTiltingDisc(ctx) {
+        const r = this.height / 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.primary;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.ellipse(0, 0, this.width / 2, r * 0.45, -0.35, 0, Math.PI * 2);
+        this.fillValvePath(ctx);
+
+        ctx.beginPath();
+        ctx.moveTo(-r * 0.3, -r);
+        ctx.lineTo(-r * 0.3, r);
+        ctx.strokeStyle = COLORS.primaryLight;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    // Leaflet sewn into a zigzag nitinol stent
+    drawStentFrame(ctx) {
+        const w = this.width / 2;
+        const h = this.height / 2;
+        const cells = 4;
+        ctx.strokeStyle = COLORS.primaryLight;
+        ctx.lineWidth = 1.5;
+        [-h, h * 0.4].forEach(top => {
+            ctx.beginPath();
+            for (let i = 0; i <= cells * 2; i++) {
+                const x = -w + (i / (cells * 2)) * w * 2;
+                const y = top + (i % 2 === 0 ? 0 : h * 0.6);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        });
+        this.drawLeaflet(ctx, this.width * 0.8, this.height * 0.8);
+    }
+
+    getCollisionRadius() {
+        return this.width / 2;
+    }
+}
+
+// ============================================
+// PULSE (PROJECTILE) CLASS
+// ============================================
+export class Pulse {
+    // power and speedScale let systolic pulses hit harder and travel faster
+    constructor(x, y, power = 1, speedScale = 1) {
+        this.x = x;
+        this.y = y;
+        this.prevY = y;
+        this.power = power;
+        this.speed = 720 * speedScale; // px/s
+        this.radius = 8;
+        this.life = 1;
+        this.trail = [];
+        this.inStagnation = false;
+        this.shotPower = 1; // Per-pulse power of the valve that fired it
+        this.pierce = 0; // Clots it can still pass through - Infinity under tPA...
+        this.struck = new Set(); // ...hitting each one once
+        this.connected = false;
+    }
+
+    update(deltaTime, arenaWidth) {
+        this.inStagnation = isInStagnationZone(this.x, arenaWidth);
+        this.prevY = this.y;
+        // Add trail point
+        this.trail.push({ x: this.x, y: this.y, alpha: 1 });
+        if (this.trail.length > 10) this.trail.shift();
+
+        // Update trail
+        const fade = frameDecay(0.85, deltaTime);
+        this.trail.forEach(t => t.alpha *= fade);
+
+        this.y -= this.speed * deltaTime / 1000;
+        return this.y > -this.radius;
+    }
+
+    draw(ctx, alpha = 1) {
+        const y = lerp(this.prevY, this.y, alpha);
+
+        // Draw trail
+        this.trail.forEach((t, i) => {
+            ctx.beginPath();
+            ctx.arc(t.x, t.y, this.radius * 0.6 * (i / this.trail.length), 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(248, 197, 190, ${t.alpha * 0.5})`;
+            ctx.fill();
+        });
+
+        // Main pulse - flushing pulses glow hotter inside stagnation zones
+        ctx.beginPath();
+        ctx.arc(this.x, y, this.radius, 0, Math.PI * 2);
+
+        const gradient = ctx.createRadialGradient(this.x, y, 0, this.x, y, this.radius);
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.5, this.inStagnation ? '#ffd1a8' : COLORS.primaryLight);
+        const thrombolytic = this.pierce === Infinity;
+        gradient.addColorStop(1, thrombolytic ? POWERUP_TYPES.TPA.color : (this.inStagnation ? '#ff8a5c' : COLORS.primary));
+        ctx.fillStyle = gradient;
+
+        ctx.shadowColor = thrombolytic ? POWERUP_TYPES.TPA.color : (this.inStagnation ? '#ff8a5c' : COLORS.primary);
+        ctx.shadowBlur = 20;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+}
+
+// ============================================
+// SHOCKWAVE - Defibrillator ring. Its damage lands the moment it fires;
+// the ring is the visible part.
+// ============================================
+export class Shockwave {
+    constructor(x, y, radius) {
+        this.x = x;
+        this.y = y;
+        this.maxRadius = radius;
+        this.age = 0;
+        this.prevAge = 0;
+    }
+
+    update(deltaTime) {
+        this.prevAge = this.age;
+        this.age += deltaTime;
+        return this.age < DEFIBRILLATOR.waveDuration;
+    }
+
+    draw(ctx, alpha = 1) {
+        const progress = Math.min(1, lerp(this.prevAge, this.age, alpha) / DEFIBRILLATOR.waveDuration);
+        const radius = this.maxRadius * (1 - Math.pow(1 - progress, 3)); // Ease out
+
+        ctx.save();
+        ctx.globalAlpha = 1 - progress;
+        ctx.shadowColor = '#7dd3fc';
+        ctx.shadowBlur = 25;
+        ctx.strokeStyle = '#e0f2fe';
+        ctx.lineWidth = 6 * (1 - progress) + 2;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = '#7dd3fc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// ============================================
+// CLOT (ENEMY) CLASS - Chicken Invaders Style
+// Starts big, shrinks with each hit until destroyed. The archetypes below
+// extend it with their own movement, toughness and look.
+// ============================================
+export class Clot {
+    constructor(x, y, random, difficultyMultiplier = 1.0, levelConfig = ENDLESS_CONFIG) {
+        const rng = random.gameplay;
+        const fx = random.cosmetic;
+        this.type = CLOT_TYPES.THROMBUS;
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        // Larger clots for more satisfying hits
+        this.baseRadius = rng.range(45, 80);
+        this.radius = this.baseRadius;
+        this.minRadius = 10;
+        // Tougher phases need more hits to shrink a clot down
+        this.shrinkAmount = rng.range(5, 8) / levelConfig.clotHealth;
+        // Faster base speed (px/s), scales more with difficulty and the phase's flow speed
+        this.speed = rng.range(24, 48) * (1 + (difficultyMultiplier - 1) * 0.7) * levelConfig.clotSpeed;
+        this.residenceTime = 0;
+        this.inStagnation = false;
+        this.mergeDelay = 0; // ms before this clot may fuse with others
+        this.wobbleOffset = fx.range(0, 1000);
+        this.hitFlash = 0;
+        this.difficultyMultiplier = difficultyMultiplier;
+        this.levelConfig = levelConfig;
+        this.vx = rng.range(-15, 15);
+        this.palette = COLORS.clotColors;
+        // Fibrin strands for realistic look
+        this.fibrinStrands = [];
+        const strandCount = 5 + fx.int(4);
+        for (let i = 0; i < strandCount; i++) {
+            this.fibrinStrands.push({
+                angle: fx.range(0, Math.PI * 2),
+                length: fx.range(0.3, 0.7),
+                width: fx.range(1, 3)
+            });
+        }
+        // Platelet clusters
+        this.platelets = [];
+        const plateletCount = 3 + fx.int(3);
+        for (let i = 0; i < plateletCount; i++) {
+            this.platelets.push({
+                x: fx.range(-0.3, 0.3),
+                y: fx.range(-0.3, 0.3),
+                size: fx.range(0.1, 0.25)
+            });
+        }
+        // Drop power-up chance
+        this.dropsPowerUp = rng.chance(0.15); // 15% chance
+    }
+
+    // Advected by the flow field (jet, vortices, stagnant hinges) plus the clot's own drift
+    update(deltaTime, arenaWidth, flowField) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const halfWidth = this.getHalfWidth();
+        this.inStagnation = isInStagnationZone(this.x, arenaWidth);
+        const flow = flowField.sample(this.x, this.y);
+        const dt = deltaTime / 1000;
+
+        this.y += this.speed * flow.vy * dt;
+        this.x += (this.vx + this.speed * flow.vx) * dt;
+        this.residenceTime += deltaTime;
+
+        // The thrombus propagates while it lives - far faster in stagnant blood
+        const growthRate = this.inStagnation ? STAGNATION.growthRate : PROPAGATION.growthRate;
+        const maxRadius = Math.min(PROPAGATION.maxRadius, this.baseRadius * PROPAGATION.maxGrowth);
+        if (this.radius < maxRadius) {
+            this.radius = Math.min(maxRadius, this.radius + growthRate * deltaTime);
+        }
+        if (this.mergeDelay > 0) this.mergeDelay -= deltaTime;
+
+        // Bounce off walls
+        if (this.x < halfWidth || this.x > arenaWidth - halfWidth) {
+            this.vx *= -1;
+        }
+        this.x = Math.max(halfWidth, Math.min(arenaWidth - halfWidth, this.x));
+
+        // Hit flash decay
+        if (this.hitFlash > 0) this.hitFlash -= deltaTime * 0.01;
+    }
+
+    // Horizontal reach from the center - wider than the radius for chains
+    getHalfWidth() {
+        return this.radius;
+    }
+
+    hitTest(x, y, radius) {
+        return circleCollision(x, y, radius, this.x, this.y, this.radius);
+    }
+
+    /**
+     * @param {number} power - Pulse strength (systole and stagnation flush raise it)
+     * @param {number} x - Where the pulse struck
+     * @returns {boolean} true if the clot is destroyed
+     */
+    hit(power = 1, x = this.x) {
+        this.hitFlash = 1;
+        // Shrink the clot
+        this.radius -= this.shrinkAmount * power;
+        // Return true if destroyed (too small)
+        return this.radius <= this.minRadius;
+    }
+
+    getScale() {
+        return this.radius / this.baseRadius;
+    }
+
+    // Defibrillator shockwave - strikes the whole clot at once
+    shock(power) {
+        return this.hit(power);
+    }
+
+    // Clots released when this one is destroyed
+    split(random) {
+        return [];
+    }
+
+    // True when the finishing hit cut the clot apart rather than destroying it
+    isSevered() {
+        return false;
+    }
+
+    // Called as a destroyed clot leaves the field - true if nothing of the
+    // original clot is left, so it counts as a kill
+    release() {
+        return true;
+    }
+
+    // Only clots inside the arena fuse, so spawns never merge out of sight
+    canMerge() {
+        return this.mergeDelay <= 0 && this.y > 0;
+    }
+
+    /**
+     * Fuses another clot into this one. Masses (areas) add, position and
+     * drift are mass-weighted, and the fibrin/platelet detail carries over.
+     */
+    absorb(other) {
+        const mass = this.radius * this.radius;
+        const otherMass = other.radius * other.radius;
+        const weight = otherMass / (mass + otherMass);
+
+        this.x = lerp(this.x, other.x, weight);
+        this.y = lerp(this.y, other.y, weight);
+        this.vx = lerp(this.vx, other.vx, weight);
+        this.speed = lerp(this.speed, other.speed, weight);
+        this.radius = Math.min(PROPAGATION.maxRadius, Math.sqrt(mass + otherMass));
+        this.baseRadius = Math.min(PROPAGATION.maxRadius, Math.hypot(this.baseRadius, other.baseRadius));
+        this.residenceTime = Math.max(this.residenceTime, other.residenceTime);
+        this.dropsPowerUp ||= other.dropsPowerUp;
+        this.hitFlash = Math.max(this.hitFlash, other.hitFlash);
+
+        this.fibrinStrands = this.fibrinStrands.concat(other.fibrinStrands).slice(0, PROPAGATION.maxStrands);
+        this.platelets = this.platelets.concat(other.platelets).slice(0, PROPAGATION.maxPlatelets);
+    }
+
+    draw(ctx, time, alpha = 1) {
+        ctx.save();
+        ctx.translate(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+        this.drawBody(ctx, time, this.radius);
+        this.drawDetail(ctx, time);
+        ctx.restore();
+    }
+
+    // Wobbly blob with fibrin strands and platelets, centered on the origin
+    drawBody(ctx, time, radius) {
+        const wobblePoints = calculateWobble(time + this.wobbleOffset, radius);
+
+        // Draw wobbly blob
+        ctx.beginPath();
+        ctx.moveTo(wobblePoints[0].x, wobblePoints[0].y);
+
+        for (let i = 1; i < wobblePoints.length; i++) {
+            const curr = wobblePoints[i];
+            const next = wobblePoints[(i + 1) % wobblePoints.length];
+
+            const cpx = curr.x;
+            const cpy = curr.y;
+            const nx = (curr.x + next.x) / 2;
+            const ny = (curr.y + next.y) / 2;
+
+            ctx.quadraticCurveTo(cpx, cpy, nx, ny);
+        }
+        ctx.closePath();
+
+        // Gradient fill
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+
+        if (this.hitFlash > 0) {
+            gradient.addColorStop(0, '#ffffff');
+            gradient.addColorStop(0.5, '#ffaaaa');
+            gradient.addColorStop(1, COLORS.primary);
+        } else {
+            gradient.addColorStop(0, this.palette[0]);
+            gradient.addColorStop(0.5, this.palette[1]);
+            gradient.addColorStop(1, this.palette[2]);
+        }
+
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        // Draw fibrin strands for realistic clot look
+        ctx.strokeStyle = 'rgba(139, 30, 35, 0.6)';
+        this.fibrinStrands.forEach(strand => {
+            ctx.lineWidth = strand.width;
+            ctx.beginPath();
+            const startX = Math.cos(strand.angle) * radius * 0.3;
+            const startY = Math.sin(strand.angle) * radius * 0.3;
+            const endX = Math.cos(strand.angle) * radius * strand.length;
+            const endY = Math.sin(strand.angle) * radius * strand.length;
+            ctx.moveTo(startX, startY);
+            ctx.lineTo(endX, endY);
+            ctx.stroke();
+        });
+
+        // Draw platelet clusters
+        this.platelets.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x * radius, p.y * radius, radius * p.size, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(248, 197, 190, 0.5)';
+            ctx.fill();
+        });
+
+        // Pulsing outline
+        ctx.strokeStyle = COLORS.primaryDark;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // Archetype overlay drawn on top of the body
+    drawDetail(ctx, time) {}
+}
+
+// ============================================
+// EMBOLUS - Small, fast fragment that zig-zags through the flow.
+// Also shed by the boss thrombus.
+// ============================================
+export class Embolus extends Clot {
+    constructor(x, y, random, difficultyMultiplier = 1.0, levelConfig = ENDLESS_CONFIG, vx = null) {
+        super(x, y, random, difficultyMultiplier, levelConfig);
+        const rng = random.gameplay;
+        this.type = CLOT_TYPES.EMBOLUS;
+        this.baseRadius = rng.range(16, 24);
+        this.radius = this.baseRadius;
+        this.minRadius = 8;
+        this.shrinkAmount = 6;
+        this.speed *= 2.2;
+        // Darts side to side, flipping direction on a fixed beat
+        const drift = vx ?? rng.range(-60, 60);
+        this.vx = Math.max(Math.abs(drift), 40) * (drift < 0 ? -1 : 1);
+        this.zigzagInterval = rng.range(350, 600);
+        this.zigzagTimer = this.zigzagInterval / 2;
+        this.dropsPowerUp = false;
+    }
+
+    update(deltaTime, arenaWidth, flowField) {
+        this.zigzagTimer -= deltaTime;
+        if (this.zigzagTimer <= 0) {
+            this.zigzagTimer += this.zigzagInterval;
+            this.vx *= -1;
+        }
+        super.update(deltaTime, arenaWidth, flowField);
+    }
+}
+
+// ============================================
+// FIBRIN CHAIN - Nodules linked by fibrin strands
+// Pulses glance off the nodules; only hits on a joint count. Cutting a
+// joint snaps the chain in two, and a lone nodule is a plain clot again.
+// ============================================
+export class FibrinChain extends Clot {
+    constructor(x, y, random, difficultyMultiplier = 1.0, levelConfig = ENDLESS_CONFIG, nodeCount = null) {
+        super(x, y, random, difficultyMultiplier, levelConfig);
+        const rng = random.gameplay;
+        this.type = CLOT_TYPES.FIBRIN_CHAIN;
+        this.baseRadius = rng.range(18, 24);
+        this.radius = this.baseRadius;
+        this.minRadius = 8;
+        this.speed *= 0.85;
+        this.nodeCount = nodeCount ?? 3 + rng.int(2);
+        this.spacing = this.baseRadius * 2.4;
+        // Pulse power each joint soaks up before it snaps
+        this.jointStrength = 3 * levelConfig.clotHealth;
+        this.joints = new Array(this.nodeCount - 1).fill(this.jointStrength);
+        this.cutJoint = -1;
+        // Shared by every piece cut from this chain
+        this.chain = { pieces: 1, dropsPowerUp: this.dropsPowerUp };
+    }
+
+    getNodeX(index) {
+        return this.x + (index - (this.nodeCount - 1) / 2) * this.spacing;
+    }
+
+    getHalfWidth() {
+        return ((this.nodeCount - 1) / 2) * this.spacing + this.radius;
+    }
+
+    // Linked chains keep their shape; a lone nodule fuses like any clot
+    canMerge() {
+        return this.nodeCount === 1 && super.canMerge();
+    }
+
+    hitTest(x, y, radius) {
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (circleCollision(x, y, radius, this.getNodeX(i), this.y, this.radius)) return true;
+        }
+        return false;
+    }
+
+    // Index of the joint within reach of x, or -1
+    getJointAt(x) {
+        return this.joints.findIndex((_, i) => {
+            const jointX = (this.getNodeX(i) + this.getNodeX(i + 1)) / 2;
+            return Math.abs(x - jointX) < this.radius * 0.7;
+        });
+    }
+
+    hit(power = 1, x = this.x) {
+        if (this.joints.length === 0) return super.hit(power, x);
+        this.hitFlash = 1;
+        const joint = this.getJointAt(x);
+        if (joint === -1) return false;
+        this.joints[joint] -= power;
+        if (this.joints[joint] > 0) return false;
+        this.cutJoint = joint;
+        return true;
+    }
+
+    // A shockwave strains every joint; the first to give way cuts the chain
+    shock(power) {
+        if (this.joints.length === 0) return super.shock(power);
+        this.hitFlash = 1;
+        this.joints = this.joints.map(strength => strength - power);
+        this.cutJoint = this.joints.findIndex(strength => strength <= 0);
+        return this.cutJoint !== -1;
+    }
+
+    isSevered() {
+        return this.cutJoint !== -1;
+    }
+
+    // The chain is one kill, credited with the last of its pieces
+    release() {
+        this.chain.pieces--;
+        if (this.chain.pieces > 0) return false;
+        this.dropsPowerUp = this.chain.dropsPowerUp;
+        return true;
+    }
+
+    // The two halves either side of the cut joint drift apart
+    split(random) {
+        if (this.cutJoint === -1) return [];
+        this.chain.pieces++;
+        const halves = [
+            { first: 0, count: this.cutJoint + 1, joints: this.joints.slice(0, this.cutJoint) },
+            { first: this.cutJoint + 1, count: this.nodeCount - this.cutJoint - 1, joints: this.joints.slice(this.cutJoint + 1) }
+        ];
+        return halves.map((half, side) => {
+            const x = (this.getNodeX(half.first) + this.getNodeX(half.first + half.count - 1)) / 2;
+            const piece = new FibrinChain(x, this.y, random, this.difficultyMultiplier, this.levelConfig, half.count);
+            piece.baseRadius = this.baseRadius;
+            piece.radius = this.radius;
+            piece.spacing = this.spacing;
+            piece.speed = this.speed;
+            piece.joints = half.joints;
+            piece.chain = this.chain;
+            piece.vx = (Math.abs(this.vx) + 20) * (side === 0 ? -1 : 1);
+            piece.dropsPowerUp = false;
+            return piece;
+        });
+    }
+
+    draw(ctx, time, alpha = 1) {
+        ctx.save();
+        ctx.translate(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+        const offset = i => (i - (this.nodeCount - 1) / 2) * this.spacing;
+
+        // Strands fray and fade as their joint weakens
+        this.joints.forEach((strength, i) => {
+            const fromX = offset(i);
+            const toX = offset(i + 1);
+            const integrity = Math.max(0, strength / this.jointStrength);
+            const sag = Math.sin(time * 0.004 + i) * this.radius * 0.25;
+            ctx.strokeStyle = `rgba(248, 197, 190, ${0.4 + integrity * 0.5})`;
+            ctx.lineWidth = 1.5 + integrity * 3.5;
+            ctx.beginPath();
+            ctx.moveTo(fromX, 0);
+            ctx.quadraticCurveTo((fromX + toX) / 2, sag, toX, 0);
+            ctx.stroke();
+
+            // Joint knot - the weak point to aim for
+            ctx.beginPath();
+            ctx.arc((fromX + toX) / 2, sag / 2, 3 + integrity * 2, 0, Math.PI * 2);
+            ctx.fillStyle = this.hitFlash > 0 ? '#ffffff' : COLORS.primaryLight;
+            ctx.fill();
+        });
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            ctx.save();
+            ctx.translate(offset(i), 0);
+            this.drawBody(ctx, time + i * 137, this.radius);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+}
+
+// ============================================
+// PLATELET AGGREGATE - Pale, loosely packed platelet plug
+// Shrinks quickly but breaks into smaller aggregates when destroyed
+// ============================================
+const PLATELET_MAX_GENERATION = 1;
+
+export class PlateletAggregate extends Clot {
+    constructor(x, y, random, difficultyMultiplier = 1.0, levelConfig = ENDLESS_CONFIG, generation = 0) {
+        super(x, y, random, difficultyMultiplier, levelConfig);
+        this.type = CLOT_TYPES.PLATELET_AGGREGATE;
+        this.generation = generation;
+        if (generation > 0) {
+            this.baseRadius = random.gameplay.range(20, 28);
+            this.radius = this.baseRadius;
+            this.minRadius = 8;
+            this.dropsPowerUp = false;
+        }
+        this.shrinkAmount *= 1.5;
+        this.palette = COLORS.plateletColors;
+    }
+
+    split(random) {
+        if (this.generation >= PLATELET_MAX_GENERATION) return [];
+        const count = 2 + random.gameplay.int(2);
+        const fragments = [];
+        for (let i = 0; i < count; i++) {
+            const fragment = new PlateletAggregate(this.x, this.y, random, this.difficultyMultiplier, this.levelConfig, this.generation + 1);
+            // Fan the fragments out across the flow before they can fuse again
+            fragment.vx = ((i + 0.5) / count - 0.5) * 120;
+            fragment.mergeDelay = 1000;
+            fragments.push(fragment);
+        }
+        return fragments;
+    }
+}
+
+// ============================================
+// ORGANIZED THROMBUS - Old, fibrous clot with a tough shell
+// Ordinary pulses barely scratch it; power-shots (systole or stagnation
+// flush) are needed to wear it down.
+// ============================================
+export class OrganizedThrombus extends Clot {
+    constructor(x, y, random, difficultyMultiplier = 1.0, levelConfig = ENDLESS_CONFIG) {
+        super(x, y, random, difficultyMultiplier, levelConfig);
+        this.type = CLOT_TYPES.ORGANIZED;
+        this.baseRadius = random.gameplay.range(60, 85);
+        this.radius = this.baseRadius;
+        this.speed *= 0.7;
+        this.armor = 1.4; // Hit power needed to break through the shell, per unit of shot power
+        this.glancingDamage = 0.15; // Share of a weaker hit that still lands
+        this.palette = COLORS.organizedColors;
+    }
+
+    // Armor scales with the firing valve's shot power, so twin-barrel valves
+    // break through on the same systolic and stagnation hits as single ones
+    hit(power = 1, x = this.x, shotPower = 1) {
+        return super.hit(power >= this.armor * shotPower ? power : power * this.glancingDamage, x);
+    }
+
+    // Layered rings (lines of Zahn) and a pale fibrous shell
+    drawDetail(ctx, time) {
+        ctx.strokeStyle = 'rgba(248, 197, 190, 0.25)';
+        ctx.lineWidth = 1.5;
+        [0.35, 0.55, 0.75].forEach(ring => {
+            ctx.beginPath();
+            ctx.arc(0, 0, this.radius * ring, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.strokeStyle = 'rgba(220, 200, 190, 0.7)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius * 0.95, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+// ============================================
+// CLOT FACTORY
+// ============================================
+const CLOT_CLASSES = {
+    [CLOT_TYPES.THROMBUS]: Clot,
+    [CLOT_TYPES.EMBOLUS]: Embolus,
+    [CLOT_TYPES.FIBRIN_CHAIN]: FibrinChain,
+    [CLOT_TYPES.PLATELET_AGGREGATE]: PlateletAggregate,
+    [CLOT_TYPES.ORGANIZED]: OrganizedThrombus
+};
+
+export function createClot(type, x, y, random, difficultyMultiplier, levelConfig) {
+    const ClotClass = CLOT_CLASSES[type] ?? Clot;
+    return new ClotClass(x, y, random, difficultyMultiplier, levelConfig);
+}
+
+// ============================================
+// BOSS THROMBUS - "Mechanical Stagnation" encounter
+// Attack phases change as its health drops:
+//   SHEDDING  - drifts across the valve and sheds emboli
+//   ANCHORED  - latches onto a hinge stagnation zone and sprays emboli
+//   PULSATING - returns to center, swelling and shedding rapidly
+// ============================================
+export const BOSS_PHASES = {
+    SHEDDING: { label: 'SHEDDING EMBOLI', threshold: 1.0, shedInterval: 2400 },
+    ANCHORED: { label: 'ANCHORED AT HINGE', threshold: 0.66, shedInterval: 2000 },
+    PULSATING: { label: 'PULSATING', threshold: 0.33, shedInterval: 1400 }
+};
+
+export class BossThrombus {
+    constructor(arena, levelConfig, random) {
+        this.arena = arena;
+        this.name = 'OCCLUSIVE THROMBUS';
+        // Whole pulse hits, so health reaches exactly zero on the last one
+        this.maxHealth = levelConfig.bossHealth;
+        this.health = this.maxHealth;
+        this.baseRadius = levelConfig.bossSize;
+        this.radius = this.baseRadius;
+        this.x = arena.width / 2;
+        this.y = -this.baseRadius;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.targetY = arena.height * 0.22;
+        this.descentSpeed = 90; // px/s
+        this.vx = 48; // px/s
+        this.phase = BOSS_PHASES.SHEDDING;
+        this.shedTimer = 0;
+        this.anchorSide = random.gameplay.chance(0.5) ? -1 : 1;
+        this.inStagnation = false;
+        this.hitFlash = 0;
+        this.pulseTime = 0;
+        this.wobbleOffset = random.cosmetic.range(0, 1000);
+        this.defeated = false;
+        this.deathTimer = 0;
+        this.deathDuration = 2500;
+    }
+
+    getHealthFraction() {
+        return Math.max(0, this.health / this.maxHealth);
+    }
+
+    // CRS mass contribution - a weakened boss produces less thrombogenic load
+    getScale() {
+        return 0.6 + this.getHealthFraction() * 0.4;
+    }
+
+    updatePhase() {
+        const fraction = this.getHealthFraction();
+        if (fraction <= BOSS_PHASES.PULSATING.threshold) {
+            this.phase = BOSS_PHASES.PULSATING;
+        } else if (fraction <= BOSS_PHASES.ANCHORED.threshold) {
+            this.phase = BOSS_PHASES.ANCHORED;
+        }
+    }
+
+    /**
+     * Advances movement and attacks. Returns the emboli shed this frame
+     * as spawn requests ({ x, y, vx }) for the game to instantiate.
+     */
+    update(deltaTime) {
+        const width = this.arena.width;
+        const dt = deltaTime / 1000;
+        const shed = [];
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.pulseTime += deltaTime;
+        if (this.hitFlash > 0) this.hitFlash -= deltaTime * 0.01;
+
+        if (this.defeated) {
+            this.deathTimer += deltaTime;
+            this.radius = this.baseRadius * (1 - this.deathTimer / this.deathDuration);
+            return shed;
+        }
+
+        // Descend into the arena first
+        if (this.y < this.targetY) {
+            this.y = Math.min(this.targetY, this.y + this.descentSpeed * dt);
+            return shed;
+        }
+
+        this.updatePhase();
+
+        switch (this.phase) {
+            case BOSS_PHASES.SHEDDING:
+                this.x += this.vx * dt;
+                if (this.x < this.radius || this.x > width - this.radius) this.vx *= -1;
+                this.radius = this.baseRadius;
+                break;
+            case BOSS_PHASES.ANCHORED: {
+                const anchorX = this.anchorSide < 0 ? width * 0.15 : width * 0.85;
+                this.x = approach(this.x, anchorX, 2.4, deltaTime);
+                this.radius = this.baseRadius;
+                break;
+            }
+            case BOSS_PHASES.PULSATING:
+                this.x = approach(this.x, width / 2, 1.8, deltaTime);
+                this.radius = this.baseRadius * (1 + Math.sin(this.pulseTime * 0.006) * 0.2);
+                break;
+        }
+
+        this.x = Math.max(this.radius * 0.5, Math.min(width - this.radius * 0.5, this.x));
+        this.inStagnation = isInStagnationZone(this.x, width);
+
+        // Shed emboli on the phase's interval
+        this.shedTimer += deltaTime;
+        if (this.shedTimer >= this.phase.shedInterval) {
+            this.shedTimer = 0;
+            const count = this.phase === BOSS_PHASES.SHEDDING ? 1 : 3;
+            for (let i = 0; i < count; i++) {
+                const spread = count === 1 ? 0 : (i - 1);
+                shed.push({ x: this.x + spread * this.radius * 0.5, y: this.y + this.radius * 0.6, vx: spread * 48 });
+            }
+        }
+
+        return shed;
+    }
+
+    hit() {
+        if (this.defeated) return false;
+        this.hitFlash = 1;
+        this.health--;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.defeated = true;
+            return true;
+        }
+        return false;
+    }
+
+    isDeathComplete() {
+        return this.defeated && this.deathTimer >= this.deathDuration;
+    }
+
+    draw(ctx, time, alpha = 1) {
+        if (this.radius <= 0) return;
+        const wobblePoints = calculateWobble(time + this.wobbleOffset, this.radius, 0.15);
+
+        ctx.save();
+        ctx.translate(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+
+        // Anchoring tendrils reaching toward the valve hinge
+        if (this.phase === BOSS_PHASES.ANCHORED && !this.defeated) {
+            ctx.strokeStyle = 'rgba(139, 30, 35, 0.7)';
+            ctx.lineWidth = 3;
+            for (let i = 0; i < 5; i++) {
+                const angle = (this.anchorSide < 0 ? Math.PI : 0) + (i - 2) * 0.3;
+                const sway = Math.sin(time * 0.004 + i) * 10;
+                ctx.beginPath();
+                ctx.moveTo(Math.cos(angle) * this.radius * 0.8, Math.sin(angle) * this.radius * 0.8);
+                ctx.quadraticCurveTo(
+                    Math.cos(angle) * this.radius * 1.3, Math.sin(angle) * this.radius * 1.3 + sway,
+                    Math.cos(angle) * this.radius * 1.7, Math.sin(angle) * this.radius * 1.7
+                );
+                ctx.stroke();
+            }
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(wobblePoints[0].x, wobblePoints[0].y);
+        for (let i = 1; i < wobblePoints.length; i++) {
+            const curr = wobblePoints[i];
+            const next = wobblePoints[(i + 1) % wobblePoints.length];
+            ctx.quadraticCurveTo(curr.x, curr.y, (curr.x + next.x) / 2, (curr.y + next.y) / 2);
+        }
+        ctx.closePath();
+
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius);
+        if (this.hitFlash > 0 || this.defeated) {
+            gradient.addColorStop(0, '#ffffff');
+            gradient.addColorStop(0.5, '#ffaaaa');
+            gradient.addColorStop(1, COLORS.primaryDark);
+        } else {
+            gradient.addColorStop(0, COLORS.clotColors[1]);
+            gradient.addColorStop(0.6, COLORS.clotColors[2]);
+            gradient.addColorStop(1, '#4a0e11');
+        }
+        ctx.fillStyle = gradient;
+        ctx.shadowColor = COLORS.primaryDark;
+        ctx.shadowBlur = 30;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        // Glowing necrotic core
+        const corePulse = 0.3 + Math.sin(this.pulseTime * 0.005) * 0.15;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius * 0.3, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 138, 138, ${corePulse})`;
+        ctx.fill();
+
+        ctx.strokeStyle = '#4a0e11';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
+
+// ============================================
+// POWER-UP CLASS - Drops from destroyed clots
+// ============================================
+// Downward speed, in flow units, that the wall vortices can't cancel -
+// otherwise drops can settle in the hinge eddies and never reach the valve
+const POWERUP_MIN_DRIFT = 0.3;
+
+export class PowerUp {
+    constructor(x, y, random) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.radius = 18;
+        this.speed = 90; // px/s
+        // Random power-up type, weighted by drop odds
+        this.typeKey = pickPowerUp(random.gameplay);
+        this.type = getPowerUp(this.typeKey);
+        this.rotation = 0;
+        this.pulsePhase = random.cosmetic.range(0, Math.PI * 2);
+    }
+
+    update(deltaTime, flowField) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const flow = flowField.sample(this.x, this.y);
+        this.y += this.speed * Math.max(flow.vy, POWERUP_MIN_DRIFT) * deltaTime / 1000;
+        this.x += this.speed * flow.vx * deltaTime / 1000;
+        this.x = Math.max(this.radius, Math.min(flowField.width - this.radius, this.x));
+        this.rotation += deltaTime * 0.003;
+        this.pulsePhase += deltaTime * 0.005;
+        return this.y < flowField.height + this.radius; // Remove once below the arena
+    }
+
+    draw(ctx, time, alpha = 1) {
+        const pulse = 1 + Math.sin(this.pulsePhase) * 0.15;
+
+        ctx.save();
+        ctx.translate(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+        ctx.rotate(this.rotation);
+        ctx.scale(pulse, pulse);
+
+        // Glow effect
+        ctx.shadowColor = this.type.color;
+        ctx.shadowBlur = 20;
+
+        // Outer ring
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.strokeStyle = this.type.color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Inner fill
+        ctx.fillStyle = this.type.color + '40';
+        ctx.fill();
+
+        // Icon
+        ctx.shadowBlur = 0;
+        ctx.font = '16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(this.type.icon, 0, 0);
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Input.js - Pointer, Keyboard & Gamepad Controls
+ * Turns raw device input into game actions. Pointer and key presses are
+ * emitted as events; held keys and the analog stick are polled as a
+ * movement axis once per simulation step. The special fires from its
+ * binding, a right-click or a touch held in place.
+ */
+
+export const INPUT_ACTIONS = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    FIRE: 'fire',
+    SPECIAL: 'special',
+    PAUSE: 'pause'
+};
+
+export const ACTION_LABELS = {
+    left: 'Move Left',
+    right: 'Move Right',
+    fire: 'Fire Pulse',
+    special: 'Defibrillator',
+    pause: 'Pause'
+};
+
+// Two key slots and one gamepad button per action (standard gamepad layout)
+export const DEFAULT_BINDINGS = {
+    left: { keys: ['ArrowLeft', 'KeyA'], button: 14 },
+    right: { keys: ['ArrowRight', 'KeyD'], button: 15 },
+    fire: { keys: ['Space', 'KeyW'], button: 0 },
+    special: { keys: ['KeyE', 'KeyS'], button: 1 },
+    pause: { keys: ['Escape', 'KeyP'], button: 9 }
+};
+
+export const DEFAULT_DEADZONE = 0.2;
+
+const STICK_AXIS = 0;
+// Actions emitted once per press; movement is polled instead
+const PRESS_ACTIONS = [INPUT_ACTIONS.FIRE, INPUT_ACTIONS.SPECIAL, INPUT_ACTIONS.PAUSE];
+const HOLD_DELAY = 450; // ms a touch must stay down to trigger the special
+const HOLD_SLOP = 12; // px a held touch may drift and still count
+const FORM_CONTROLS = 'button, input, select, textarea';
+
+/**
+ * Menus, the shop and settings are overlays, and the replay bar has its own
+ * controls - all of them keep Space and the arrows. Stale focus on a hidden
+ * overlay or the HUD pause button must not swallow gameplay keys.
+ */
+function isMenuKey(e) {
+    if (document.querySelector('.overlay.active')) return true;
+    const control = e.target instanceof Element ? e.target.closest(FORM_CONTROLS) : null;
+    return control !== null && control.id !== 'pause-btn' && !control.closest('.overlay');
+}
+
+/**
+ * Fills in any actions or slots missing from saved bindings so older
+ * saves keep working when new actions are added
+ */
+export function normalizeBindings(saved) {
+    const bindings = {};
+    Object.entries(DEFAULT_BINDINGS).forEach(([action, defaults]) => {
+        const entry = saved?.[action] ?? {};
+        // null is a deliberately cleared slot and must survive a reload
+        const hasButton = entry.button === null || Number.isInteger(entry.button);
+        bindings[action] = {
+            keys: defaults.keys.map((key, i) => (entry.keys ? entry.keys[i] ?? null : key)),
+            button: hasButton ? entry.button : defaults.button
+        };
+    });
+    return bindings;
+}
+
+export function formatKey(code) {
+    if (!code) return '—';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+    return names[code] ?? code;
+}
+
+export function formatButton(index) {
+    return index === null || index === undefined ? '—' : `Pad ${index}`;
+}
+
+// Stick values inside the deadzone read as zero; the rest is rescaled to 0..1
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// ============================================
+// INPUT MANAGER
+// ============================================
+export class InputManager {
+    /**
+     * @param {HTMLCanvasElement} canvas - Pointer coordinates are mapped into its space
+     * @param {object} bindings - Action -> { keys, button } map
+     */
+    constructor(canvas, bindings) {
+        this.canvas = canvas;
+        this.bindings = normalizeBindings(bindings);
+        this.deadzone = DEFAULT_DEADZONE;
+        this.listeners = {};
+
+        this.heldKeys = new Set();
+        this.prevButtons = [];
+        this.capture = null;
+
+        this.setupPointer();
+        this.setupKeyboard();
+    }
+
+    on(type, handler) {
+        (this.listeners[type] ??= []).push(handler);
+    }
+
+    emit(type, payload = {}) {
+        this.listeners[type]?.forEach(handler => handler(payload));
+    }
+
+    setupPointer() {
+        const toCanvasX = (clientX) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return (clientX - rect.left) * (this.canvas.width / rect.width);
+        };
+
+        // Touch controls - a touch held in place triggers the special
+        let hold = null;
+        const cancelHold = () => {
+            if (hold) clearTimeout(hold.timer);
+            hold = null;
+        };
+        const handleTouch = (e) => {
+            e.preventDefault();
+            const touch = e.touches[0];
+            this.emit('target', { x: toCanvasX(touch.clientX) });
+            if (e.type === 'touchstart') {
+                this.emit(INPUT_ACTIONS.FIRE);
+                cancelHold();
+                hold = {
+                    x: touch.clientX,
+                    y: touch.clientY,
+                    timer: setTimeout(() => {
+                        hold = null;
+                        this.emit(INPUT_ACTIONS.SPECIAL);
+                    }, HOLD_DELAY)
+                };
+            } else if (hold && Math.hypot(touch.clientX - hold.x, touch.clientY - hold.y) > HOLD_SLOP) {
+                cancelHold();
+            }
+        };
+        this.canvas.addEventListener('touchstart', handleTouch, { passive: false });
+        this.canvas.addEventListener('touchmove', handleTouch, { passive: false });
+        this.canvas.addEventListener('touchend', cancelHold);
+        this.canvas.addEventListener('touchcancel', cancelHold);
+
+        // Mouse controls
+        this.canvas.addEventListener('mousemove', (e) => this.emit('target', { x: toCanvasX(e.clientX) }));
+        this.canvas.addEventListener('click', () => this.emit(INPUT_ACTIONS.FIRE));
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.emit(INPUT_ACTIONS.SPECIAL);
+        });
+
+        // Prevent default behaviors
+        document.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+    }
+
+    setupKeyboard() {
+        window.addEventListener('keydown', (e) => {
+            // Text fields (score initials) keep their keys
+            if (e.target instanceof HTMLInputElement && e.target.type === 'text') return;
+            if (this.capture) {
+                e.preventDefault();
+                this.finishCapture(e.code === 'Escape' ? null : e.code);
+                return;
+            }
+
+            const action = this.actionForKey(e.code);
+            if (!action) return;
+            // Pause still works over menus, to resume or back out
+            if (action !== INPUT_ACTIONS.PAUSE && isMenuKey(e)) return;
+            e.preventDefault();
+            this.heldKeys.add(e.code);
+            if (!e.repeat && PRESS_ACTIONS.includes(action)) {
+                this.emit(action);
+            }
+        });
+        window.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+        // Keyup never arrives for keys released while the window is unfocused
+        window.addEventListener('blur', () => this.heldKeys.clear());
+    }
+
+    actionForKey(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].keys.includes(code)) ?? null;
+    }
+
+    getGamepad() {
+        const pads = navigator.getGamepads?.() ?? [];
+        return Array.from(pads).find(pad => pad && pad.connected) ?? null;
+    }
+
+    /**
+     * Reads gamepad buttons once per frame, emitting actions on the press
+     * edge. Runs even while paused so the pause button can resume.
+     */
+    pollGamepad() {
+        const pad = this.getGamepad();
+        if (!pad) {
+            this.prevButtons = [];
+            return;
+        }
+
+        const pressed = pad.buttons.map(button => button.pressed);
+        pressed.forEach((isDown, index) => {
+            if (!isDown || this.prevButtons[index]) return;
+            if (this.capture) {
+                this.finishCapture(index);
+                return;
+            }
+            const action = Object.keys(this.bindings).find(a => this.bindings[a].button === index);
+            if (PRESS_ACTIONS.includes(action)) this.emit(action);
+        });
+        this.prevButtons = pressed;
+    }
+
+    // Horizontal movement in -1..1 from held keys, d-pad and analog stick
+    getAxis() {
+        const heldAction = (action) => this.bindings[action].keys.some(code => this.heldKeys.has(code));
+        let axis = (heldAction(INPUT_ACTIONS.RIGHT) ? 1 : 0) - (heldAction(INPUT_ACTIONS.LEFT) ? 1 : 0);
+
+        const pad = this.getGamepad();
+        if (pad) {
+            const button = (action) => pad.buttons[this.bindings[action].button]?.pressed;
+            if (button(INPUT_ACTIONS.RIGHT)) axis += 1;
+            if (button(INPUT_ACTIONS.LEFT)) axis -= 1;
+            axis += applyDeadzone(pad.axes[STICK_AXIS] ?? 0, this.deadzone);
+        }
+
+        return Math.max(-1, Math.min(1, axis));
+    }
+
+    // ============================================
+    // REBINDING
+    // ============================================
+    /**
+     * Waits for the next key (slot 0/1) or gamepad button ('button') and
+     * binds it to the action. Escape cancels a key capture.
+     */
+    captureBinding(action, slot, onDone) {
+        this.capture = { action, slot, onDone };
+    }
+
+    finishCapture(value) {
+        const { action, slot, onDone } = this.capture;
+        this.capture = null;
+        const isButtonSlot = slot === 'button';
+
+        // Keys go to key slots and buttons to the button slot; anything else cancels
+        if (value !== null && isButtonSlot === Number.isInteger(value)) {
+            // A key or button can only drive one action
+            Object.values(this.bindings).forEach(binding => {
+                if (isButtonSlot && binding.button === value) binding.button = null;
+                if (!isButtonSlot) binding.keys = binding.keys.map(code => (code === value ? null : code));
+            });
+            if (isButtonSlot) {
+                this.bindings[action].button = value;
+            } else {
+                this.bindings[action].keys[slot] = value;
+            }
+        }
+        this.heldKeys.clear();
+        onDone?.(this.bindings);
+    }
+
+    cancelCapture() {
+        if (this.capture) this.finishCapture(null);
+    }
+
+    setBindings(bindings) {
+        this.bindings = normalizeBindings(bindings);
+    }
+}
@@ -1,35 +1,32 @@
 /**
  * Main.js - Core Game Loop & State Management
  * CRS Invaders Pro - Hemodynamic Defense Simulation
+ *
+ * Browser shell around the headless Simulation: owns the canvas, DOM
+ * overlays, input, replays and effects, and renders the simulation state.
  */
 
-import { ParticleSystem, CRSCalculator, circleCollision, isInStagnationZone, calculateWobble, lerp } from './Physics.js';
-import { HUD, ScreenShake, LevelTransition, OverlayController } from './UI.js';
+import { ParticleSystem, FlowTracers } from './Physics.js';
+import { HUD, ScreenShake, LevelTransition, AchievementToasts, OverlayController } from './UI.js';
+import { loadData, saveData } from './Storage.js';
+import { AudioEngine } from './Audio.js';
+import { ScoreBook } from './Scores.js';
+import { Progression } from './Progression.js';
+import { AchievementBook } from './Achievements.js';
+import { DEFAULT_VALVE_TYPE, getValveTypes } from './ValveTypes.js';
+import { DEFAULT_CRS_MODEL } from './CRSModels.js';
+import { exportTimeline } from './Timeline.js';
+import { InputManager, DEFAULT_BINDINGS, DEFAULT_DEADZONE } from './Input.js';
+import { RandomService, createSeed, parseSeed } from './Random.js';
+import { ReplayRecorder, ReplayPlayer, exportReplay, parseReplay } from './Replay.js';
+import { Simulation, SIM_EVENTS } from './Simulation.js';
+import { COLORS, POWERUP_TYPES, DEFIBRILLATOR, SIM_STEP, GAME_MODES, LEVELS } from './Config.js';
 
 // ============================================
 // GAME CONSTANTS
 // ============================================
-const COLORS = {
-    primary: '#c94f52',
-    primaryLight: '#f8c5be',
-    primaryDark: '#a2272c',
-    clotColors: ['#c94f52', '#a2272c', '#8b1e23', '#d4605f'],
-    particleColors: ['#f8c5be', '#c94f52', '#ff8a8a', '#ffffff'],
-    powerUpColors: {
-        rapidFire: '#00ff88',
-        heal: '#4ade80',
-        multiShot: '#fbbf24',
-        shield: '#60a5fa'
-    }
-};
-
-// Power-up types
-const POWERUP_TYPES = {
-    RAPID_FIRE: { name: 'Rapid Fire', duration: 5000, color: '#00ff88', icon: '⚡' },
-    HEAL: { name: 'Heal', duration: 0, color: '#4ade80', icon: '💚' },
-    MULTI_SHOT: { name: 'Triple Shot', duration: 6000, color: '#fbbf24', icon: '🔱' },
-    SHIELD: { name: 'Shield', duration: 4000, color: '#60a5fa', icon: '🛡️' }
-};
+const MAX_STEPS_PER_FRAME = 5; // Drop backlog beyond this to avoid a spiral of death
+const MAX_FRAME_TIME = 250;
 
 const GAME_STATES = {
     MENU: 'menu',
@@ -40,546 +37,508 @@ const GAME_STATES = {
     SCIENCE_MODAL: 'science_modal'
 };
 
-// ============================================
-// LEVEL CONFIGURATIONS
-// ============================================
-const LEVELS = [
-    {
-        name: "Steady Laminar Flow",
-        description: "Basic hemodynamic stability training",
-        spawnRate: 2500,
-        clotSpeed: 0.8,
-        clotHealth: 1,
-        pulseCooldown: 800,
-        targetScore: 500,
-        bossLevel: false
-    },
-    {
-        name: "Atrial Fibrillation",
-        description: "Irregular flow patterns detected",
-        spawnRate: 2000,
-        clotSpeed: 1.2,
-        clotHealth: 1,
-        pulseCooldown: null, // Randomized
-        pulseCooldownMin: 500,
-        pulseCooldownMax: 1500,
-        targetScore: 1000,
-        bossLevel: false
-    },
-    {
-        name: "Mechanical Stagnation",
-        description: "Critical thrombus formation",
-        spawnRate: 3000,
-        clotSpeed: 0.6,
-        clotHealth: 1,
-        pulseCooldown: 600,
-        targetScore: 2000,
-        bossLevel: true,
-        bossHealth: 10,
-        bossSize: 80
-    }
-];
+const DEFAULT_SETTINGS = {
+    screenShake: true,
+    showFlowField: false,
+    crsModel: DEFAULT_CRS_MODEL,
+    gamepadDeadzone: DEFAULT_DEADZONE,
+    masterVolume: 0.8,
+    musicVolume: 0.6,
+    sfxVolume: 0.8,
+    muted: false
+};
 
 // ============================================
-// PLAYER CLASS
+// MAIN GAME CLASS
 // ============================================
-class Player {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.width = 50;
-        this.height = 30;
-        this.x = canvas.width / 2;
-        this.y = canvas.height - 80;
-        this.targetX = this.x;
-        this.lerpFactor = 0.12;
-        this.pulseTime = 0;
-    }
-
-    update(deltaTime) {
-        // Smooth lerp movement
-        this.x = lerp(this.x, this.targetX, this.lerpFactor);
-
-        // Clamp position
-        const halfWidth = this.width / 2;
-        this.x = Math.max(halfWidth, Math.min(this.canvas.width - halfWidth, this.x));
-
-        this.pulseTime += deltaTime;
-    }
+class Game {
+    /**
+     * @param {RandomService} random - Seedable PRNG shared by all gameplay systems
+     * @param {number|null} fixedSeed - When set, every run replays this seed
+     */
+    constructor(random, fixedSeed = null) {
+        this.random = random;
+        this.fixedSeed = fixedSeed;
 
-    setTarget(x) {
-        this.targetX = x;
-    }
+        this.canvas = document.getElementById('game-canvas');
+        this.ctx = this.canvas.getContext('2d');
 
-    draw(ctx) {
-        const pulseScale = 1 + Math.sin(this.pulseTime * 0.005) * 0.03;
+        // Headless gameplay core - this class renders it and reacts to its events
+        this.sim = new Simulation(this.random);
 
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.scale(pulseScale, pulseScale);
-
-        // Valve leaflet shape
-        ctx.beginPath();
-        ctx.moveTo(0, -this.height / 2);
-        ctx.bezierCurveTo(
-            -this.width / 2, -this.height / 3,
-            -this.width / 2, this.height / 3,
-            0, this.height / 2
-        );
-        ctx.bezierCurveTo(
-            this.width / 2, this.height / 3,
-            this.width / 2, -this.height / 3,
-            0, -this.height / 2
-        );
-        ctx.closePath();
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
 
-        // Gradient fill
-        const gradient = ctx.createLinearGradient(0, -this.height / 2, 0, this.height / 2);
-        gradient.addColorStop(0, COLORS.primaryLight);
-        gradient.addColorStop(0.5, COLORS.primary);
-        gradient.addColorStop(1, COLORS.primaryDark);
-        ctx.fillStyle = gradient;
-        ctx.fill();
+        // Systems
+        this.particles = new ParticleSystem(this.random);
+        this.flowTracers = new FlowTracers(this.random);
+        this.flowImage = new Image();
+        this.flowImage.src = 'assets/flow_particle.svg';
+        this.hud = new HUD(this.canvas);
+        this.screenShake = new ScreenShake();
+        this.levelTransition = new LevelTransition();
+        this.toasts = new AchievementToasts();
+        this.overlays = new OverlayController();
+        this.container = document.getElementById('game-container');
+        this.input = new InputManager(this.canvas, loadData('bindings', DEFAULT_BINDINGS));
+        this.audio = new AudioEngine();
+        // Attached first so run-end achievements are judged before endRun folds the run in
+        this.achievements = new AchievementBook();
+        this.achievements.attach(this.sim, achievement => this.achievementUnlocked(achievement));
+        this.subscribeToSimulation();
+
+        // Persisted player settings
+        this.settings = { ...DEFAULT_SETTINGS, ...loadData('settings', {}) };
+        this.settingsOpen = false;
+        this.applySettings();
+        this.overlays.bindSettings(this.settings, (key, value) => this.updateSetting(key, value));
 
-        // Outer glow
-        ctx.shadowColor = COLORS.primary;
-        ctx.shadowBlur = 15;
-        ctx.strokeStyle = COLORS.primaryLight;
-        ctx.lineWidth = 2;
-        ctx.stroke();
-        ctx.shadowBlur = 0;
+        // Game state
+        this.state = GAME_STATES.MENU;
+        this.mode = GAME_MODES.CAMPAIGN;
+        this.lastTime = 0;
+        this.accumulator = 0;
+
+        // Player inputs are queued and applied on simulation steps so runs can be replayed
+        this.inputQueue = [];
+        this.moveAxis = 0;
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.scores = new ScoreBook();
+        this.progression = new Progression(this.achievements);
+        this.lastRun = null;
+        this.lastReport = null;
+        this.replayPlayer = null;
+        this.modeBeforeReplay = this.mode;
 
-        // Center detail
-        ctx.beginPath();
-        ctx.arc(0, 0, 5, 0, Math.PI * 2);
-        ctx.fillStyle = COLORS.primaryLight;
-        ctx.fill();
+        // Input
+        this.setupInput();
+        this.setupButtons();
 
-        ctx.restore();
+        // Start game loop
+        requestAnimationFrame((t) => this.gameLoop(t));
     }
 
-    getCollisionRadius() {
-        return this.width / 2;
+    resize() {
+        // Replays follow the arena sizes they recorded instead
+        if (this.replayPlayer) return;
+        const container = document.getElementById('game-container');
+        const input = { type: 'resize', width: container.clientWidth, height: container.clientHeight };
+        // The arena shapes flow, spawns and clamping, so mid-run changes are
+        // recorded for the step they take effect on (a no-op outside a run)
+        this.recorder?.record(this.sim.tick, input);
+        this.setArenaSize(input.width, input.height);
     }
-}
 
-// ============================================
-// PULSE (PROJECTILE) CLASS
-// ============================================
-class Pulse {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.speed = 12;
-        this.radius = 8;
-        this.life = 1;
-        this.trail = [];
+    setArenaSize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.sim.resize(width, height);
     }
 
-    update() {
-        // Add trail point
-        this.trail.push({ x: this.x, y: this.y, alpha: 1 });
-        if (this.trail.length > 10) this.trail.shift();
-
-        // Update trail
-        this.trail.forEach(t => t.alpha *= 0.85);
-
-        this.y -= this.speed;
-        return this.y > -this.radius;
-    }
+    // ============================================
+    // SIMULATION EVENTS -> EFFECTS & OVERLAYS
+    // ============================================
+    subscribeToSimulation() {
+        const sim = this.sim;
 
-    draw(ctx) {
-        // Draw trail
-        this.trail.forEach((t, i) => {
-            ctx.beginPath();
-            ctx.arc(t.x, t.y, this.radius * 0.6 * (i / this.trail.length), 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(248, 197, 190, ${t.alpha * 0.5})`;
-            ctx.fill();
+        // Heartbeat bed and ECG trace follow the simulated cardiac cycle
+        sim.on(SIM_EVENTS.HEARTBEAT, ({ heartRate, irregular }) => {
+            this.audio.playHeartbeat();
+            this.hud.ecg.beat(heartRate, irregular);
         });
 
-        // Main pulse
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-
-        const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.radius);
-        gradient.addColorStop(0, '#ffffff');
-        gradient.addColorStop(0.5, COLORS.primaryLight);
-        gradient.addColorStop(1, COLORS.primary);
-        ctx.fillStyle = gradient;
-
-        ctx.shadowColor = COLORS.primary;
-        ctx.shadowBlur = 20;
-        ctx.fill();
-        ctx.shadowBlur = 0;
-    }
-}
-
-// ============================================
-// CLOT (ENEMY) CLASS - Chicken Invaders Style
-// Starts big, shrinks with each hit until destroyed
-// ============================================
-class Clot {
-    constructor(x, y, difficultyMultiplier = 1.0) {
-        this.x = x;
-        this.y = y;
-        // Larger clots for more satisfying hits
-        this.baseRadius = 45 + Math.random() * 35;
-        this.radius = this.baseRadius;
-        this.minRadius = 10;
-        this.shrinkAmount = 5 + Math.random() * 3;
-        // Faster base speed, scales more with difficulty
-        this.speed = (0.4 + Math.random() * 0.4) * (1 + (difficultyMultiplier - 1) * 0.7);
-        this.residenceTime = 0;
-        this.wobbleOffset = Math.random() * 1000;
-        this.hitFlash = 0;
-        this.difficultyMultiplier = difficultyMultiplier;
-        this.vx = (Math.random() - 0.5) * 0.5;
-        // Fibrin strands for realistic look
-        this.fibrinStrands = [];
-        for (let i = 0; i < 5 + Math.floor(Math.random() * 4); i++) {
-            this.fibrinStrands.push({
-                angle: Math.random() * Math.PI * 2,
-                length: 0.3 + Math.random() * 0.4,
-                width: 1 + Math.random() * 2
-            });
-        }
-        // Platelet clusters
-        this.platelets = [];
-        for (let i = 0; i < 3 + Math.floor(Math.random() * 3); i++) {
-            this.platelets.push({
-                x: (Math.random() - 0.5) * 0.6,
-                y: (Math.random() - 0.5) * 0.6,
-                size: 0.1 + Math.random() * 0.15
-            });
-        }
-        // Drop power-up chance
-        this.dropsPowerUp = Math.random() < 0.15; // 15% chance
-    }
+        // Screen shake on difficulty increase
+        sim.on(SIM_EVENTS.DIFFICULTY_UP, () => this.screenShake.trigger(5));
 
-    update(deltaTime, canvasWidth) {
-        this.y += this.speed;
-        this.x += this.vx;
-        this.residenceTime += deltaTime;
+        // Critical CRS - visual warning
+        sim.on(SIM_EVENTS.CRITICAL, ({ critical }) => {
+            this.container?.classList.toggle('critical', critical);
+            if (critical) this.screenShake.trigger(15);
+        });
 
-        // Bounce off walls
-        if (this.x < this.radius || this.x > canvasWidth - this.radius) {
-            this.vx *= -1;
-        }
-        this.x = Math.max(this.radius, Math.min(canvasWidth - this.radius, this.x));
+        sim.on(SIM_EVENTS.SPECIAL_READY, () => this.audio.play('charged'));
 
-        // Hit flash decay
-        if (this.hitFlash > 0) this.hitFlash -= deltaTime * 0.01;
-    }
+        sim.on(SIM_EVENTS.SPECIAL_FIRED, ({ x, y }) => {
+            this.particles.emit(x, y, 30, ['#e0f2fe', '#7dd3fc', '#ffffff']);
+            this.screenShake.trigger(16);
+            this.audio.play('defibrillator');
+        });
 
-    hit() {
-        this.hitFlash = 1;
-        // Shrink the clot
-        this.radius -= this.shrinkAmount;
-        // Return true if destroyed (too small)
-        return this.radius <= this.minRadius;
-    }
+        // Auto-fire is constant, so it only gets a faint tick
+        sim.on(SIM_EVENTS.PULSE_FIRED, ({ auto }) => this.audio.play('fire', auto ? 0.3 : 1));
 
-    getScale() {
-        return this.radius / this.baseRadius;
-    }
+        sim.on(SIM_EVENTS.CLOT_HIT, ({ x, y }) => {
+            this.particles.emit(x, y, 4, COLORS.particleColors);
+            this.audio.play('hit');
+        });
 
-    draw(ctx, time) {
-        const wobblePoints = calculateWobble(time + this.wobbleOffset, this.radius);
+        sim.on(SIM_EVENTS.CLOT_DESTROYED, ({ x, y }) => {
+            // Big particle burst and screen shake on destroy
+            this.particles.emit(x, y, 30, COLORS.particleColors);
+            this.screenShake.trigger(4);
+            this.audio.play('destroy');
+        });
 
-        ctx.save();
-        ctx.translate(this.x, this.y);
+        // Replays play back the arena resizes recorded mid-run
+        sim.on(SIM_EVENTS.ARENA_RESIZED, ({ width, height }) => {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        });
 
-        // Draw wobbly blob
-        ctx.beginPath();
-        ctx.moveTo(wobblePoints[0].x, wobblePoints[0].y);
+        sim.on(SIM_EVENTS.CHAIN_CUT, ({ x, y }) => {
+            this.particles.emit(x, y, 12, COLORS.particleColors);
+            this.audio.play('hit');
+        });
 
-        for (let i = 1; i < wobblePoints.length; i++) {
-            const prev = wobblePoints[i - 1];
-            const curr = wobblePoints[i];
-            const next = wobblePoints[(i + 1) % wobblePoints.length];
+        // Fusing clots throw off a small burst of debris
+        sim.on(SIM_EVENTS.CLOTS_MERGED, ({ x, y }) => {
+            this.particles.emit(x, y, 8, COLORS.clotColors);
+            this.audio.play('merge');
+        });
 
-            const cpx = curr.x;
-            const cpy = curr.y;
-            const nx = (curr.x + next.x) / 2;
-            const ny = (curr.y + next.y) / 2;
+        // Screen shake and alarm on escape
+        sim.on(SIM_EVENTS.CLOT_ESCAPED, () => {
+            this.screenShake.trigger(8);
+            this.hud.ecg.ectopic();
+            this.audio.play('escape');
+        });
 
-            ctx.quadraticCurveTo(cpx, cpy, nx, ny);
-        }
-        ctx.closePath();
+        // Clot struck the leaflet - debris, a hard shake and an ectopic beat
+        sim.on(SIM_EVENTS.VALVE_DAMAGED, ({ x, y }) => {
+            const player = sim.player;
+            this.particles.emit(x, y, 12, COLORS.clotColors);
+            this.particles.emit(player.x, player.y, 20, [COLORS.primaryLight, COLORS.primary, '#ffffff']);
+            this.screenShake.trigger(12);
+            this.hud.ecg.ectopic();
+            this.audio.play('damage');
+        });
 
-        // Gradient fill
-        const colorIndex = Math.floor((time + this.wobbleOffset) * 0.001) % COLORS.clotColors.length;
-        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius);
+        sim.on(SIM_EVENTS.SHIELD_ABSORBED, ({ x }) => {
+            const player = sim.player;
+            this.particles.emit(player.x, player.y, 25, [POWERUP_TYPES.SHIELD.color, '#bfdbfe', '#ffffff']);
+            this.particles.emit(x, this.canvas.height - 10, 10, [POWERUP_TYPES.SHIELD.color, '#ffffff']);
+            this.screenShake.trigger(4);
+            this.audio.play('shield');
+        });
 
-        if (this.hitFlash > 0) {
-            gradient.addColorStop(0, '#ffffff');
-            gradient.addColorStop(0.5, '#ffaaaa');
-            gradient.addColorStop(1, COLORS.primary);
-        } else {
-            gradient.addColorStop(0, COLORS.clotColors[0]);
-            gradient.addColorStop(0.5, COLORS.clotColors[1]);
-            gradient.addColorStop(1, COLORS.clotColors[2]);
-        }
+        sim.on(SIM_EVENTS.POWERUP_COLLECTED, ({ x, y, type }) => {
+            this.particles.emit(x, y, 15, [type.color, '#ffffff']);
+            this.screenShake.trigger(3);
+            this.audio.play('powerup');
+        });
 
-        ctx.fillStyle = gradient;
-        ctx.fill();
+        sim.on(SIM_EVENTS.BOSS_SPAWNED, () => {
+            this.screenShake.trigger(20);
+            this.audio.play('boss');
+        });
 
-        // Draw fibrin strands for realistic clot look
-        ctx.strokeStyle = 'rgba(139, 30, 35, 0.6)';
-        this.fibrinStrands.forEach(strand => {
-            ctx.lineWidth = strand.width;
-            ctx.beginPath();
-            const startX = Math.cos(strand.angle) * this.radius * 0.3;
-            const startY = Math.sin(strand.angle) * this.radius * 0.3;
-            const endX = Math.cos(strand.angle) * this.radius * strand.length;
-            const endY = Math.sin(strand.angle) * this.radius * strand.length;
-            ctx.moveTo(startX, startY);
-            ctx.lineTo(endX, endY);
-            ctx.stroke();
+        sim.on(SIM_EVENTS.BOSS_HIT, ({ x, y }) => {
+            this.particles.emit(x, y, 3, COLORS.particleColors);
         });
 
-        // Draw platelet clusters
-        this.platelets.forEach(p => {
-            ctx.beginPath();
-            ctx.arc(p.x * this.radius, p.y * this.radius, this.radius * p.size, 0, Math.PI * 2);
-            ctx.fillStyle = 'rgba(248, 197, 190, 0.5)';
-            ctx.fill();
+        sim.on(SIM_EVENTS.BOSS_DEFEATED, ({ dissolved }) => {
+            dissolved.forEach(clot => this.particles.emit(clot.x, clot.y, 10, COLORS.particleColors));
+            this.screenShake.trigger(20);
+            this.audio.play('destroy');
         });
 
-        // Pulsing outline
-        ctx.strokeStyle = COLORS.primaryDark;
-        ctx.lineWidth = 2;
-        ctx.stroke();
+        // Anticoagulant bomb - the whole field dissolves
+        sim.on(SIM_EVENTS.CLOTS_DISSOLVED, ({ dissolved }) => {
+            dissolved.forEach(clot => this.particles.emit(clot.x, clot.y, 14, [POWERUP_TYPES.ANTICOAG_BOMB.color, ...COLORS.particleColors]));
+            this.screenShake.trigger(14);
+            this.audio.play('bomb');
+        });
 
-        ctx.restore();
+        sim.on(SIM_EVENTS.LEVEL_COMPLETE, () => this.levelComplete());
+        sim.on(SIM_EVENTS.GAME_OVER, () => this.endRun(GAME_STATES.GAME_OVER));
+        sim.on(SIM_EVENTS.VICTORY, ({ x, y }) => {
+            // Final burst where the boss dissolved
+            if (x !== undefined) this.particles.emit(x, y, 80, COLORS.particleColors);
+            this.endRun(GAME_STATES.SCIENCE_MODAL);
+        });
     }
-}
 
-// ============================================
-// POWER-UP CLASS - Drops from destroyed clots
-// ============================================
-class PowerUp {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.radius = 18;
-        this.speed = 1.5;
-        // Random power-up type
-        const types = Object.keys(POWERUP_TYPES);
-        this.typeKey = types[Math.floor(Math.random() * types.length)];
-        this.type = POWERUP_TYPES[this.typeKey];
-        this.rotation = 0;
-        this.pulsePhase = Math.random() * Math.PI * 2;
+    // ============================================
+    // INPUT
+    // ============================================
+    setupInput() {
+        this.input.on('target', ({ x }) => this.queueInput({ type: 'target', x }));
+        this.input.on('fire', () => this.queueInput({ type: 'fire' }));
+        this.input.on('special', () => this.queueInput({ type: 'special' }));
+        this.input.on('pause', () => this.togglePause());
+
+        // Auto-pause when the tab is hidden or the window loses focus
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+        window.addEventListener('blur', () => this.pause());
     }
 
-    update(deltaTime) {
-        this.y += this.speed;
-        this.rotation += deltaTime * 0.003;
-        this.pulsePhase += deltaTime * 0.005;
-        return this.y < 1000; // Remove if off screen
+    queueInput(input) {
+        if (this.state !== GAME_STATES.PLAYING || this.replayPlayer) return;
+        this.inputQueue.push(input);
     }
 
-    draw(ctx, time) {
-        const pulse = 1 + Math.sin(this.pulsePhase) * 0.15;
+    // Inputs for this step - live ones are recorded, replays feed back recorded ones
+    collectInputs(step) {
+        if (this.replayPlayer) {
+            return this.replayPlayer.inputsForStep(step);
+        }
+        // Held keys and sticks only enter the queue when the axis changes, keeping replays small
+        const axis = Math.round(this.input.getAxis() * 100) / 100;
+        if (axis !== this.moveAxis) {
+            this.moveAxis = axis;
+            this.queueInput({ type: 'move', axis });
+        }
+        const inputs = this.inputQueue;
+        this.inputQueue = [];
+        inputs.forEach(input => this.recorder.record(step, input));
+        return inputs;
+    }
 
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
-        ctx.scale(pulse, pulse);
-
-        // Glow effect
-        ctx.shadowColor = this.type.color;
-        ctx.shadowBlur = 20;
-
-        // Outer ring
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.strokeStyle = this.type.color;
-        ctx.lineWidth = 3;
-        ctx.stroke();
-
-        // Inner fill
-        ctx.fillStyle = this.type.color + '40';
-        ctx.fill();
-
-        // Icon
-        ctx.shadowBlur = 0;
-        ctx.font = '16px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillStyle = '#ffffff';
-        ctx.fillText(this.type.icon, 0, 0);
+    setupButtons() {
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectMode(btn.dataset.mode));
+        });
+        this.renderValveSelect();
+        document.getElementById('start-btn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('restart-btn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('next-level-btn')?.addEventListener('click', () => this.nextLevel());
+        document.getElementById('close-modal-btn')?.addEventListener('click', () => this.closeModal());
 
-        ctx.restore();
+        // Pause menu
+        document.getElementById('pause-btn')?.addEventListener('click', () => this.pause());
+        document.getElementById('resume-btn')?.addEventListener('click', () => this.resume());
+        document.getElementById('pause-restart-btn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('pause-settings-btn')?.addEventListener('click', () => this.openSettings());
+        document.getElementById('quit-btn')?.addEventListener('click', () => this.quitToMenu());
+
+        // Achievements
+        document.getElementById('achievements-btn')?.addEventListener('click', () => this.overlays.showAchievements(this.achievements.getAll()));
+        document.getElementById('achievements-back-btn')?.addEventListener('click', () => this.overlays.showStart());
+
+        // Settings
+        document.getElementById('start-settings-btn')?.addEventListener('click', () => this.openSettings());
+        document.getElementById('settings-back-btn')?.addEventListener('click', () => this.closeSettings());
+        document.getElementById('reset-bindings-btn')?.addEventListener('click', () => this.resetBindings());
+        this.renderBindings();
+
+        // Replays
+        const fileInput = document.getElementById('replay-file-input');
+        // Replays start from the file reader, which isn't a user gesture, so unlock audio on the click
+        document.getElementById('watch-replay-btn')?.addEventListener('click', () => {
+            this.audio.unlock();
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.loadReplayFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        document.getElementById('save-replay-btn')?.addEventListener('click', () => this.saveReplay());
+        document.getElementById('modal-save-replay-btn')?.addEventListener('click', () => this.saveReplay());
+
+        // High scores
+        this.overlays.bindScoreEntry((initials) => this.submitHighScore(initials));
+
+        // Hemodynamic report export
+        this.overlays.bindTimelineExport((format) => this.exportReport(format));
+        document.getElementById('replay-play-btn')?.addEventListener('click', () => this.toggleReplayPause());
+        document.getElementById('replay-exit-btn')?.addEventListener('click', () => this.quitToMenu());
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.replayPlayer) this.replayPlayer.speed = Number(btn.dataset.speed);
+            });
+        });
+        document.getElementById('replay-scrubber')?.addEventListener('change', (e) => {
+            this.seekReplay(Number(e.target.value));
+        });
     }
-}
 
-// ============================================
-// MAIN GAME CLASS
-// ============================================
-class Game {
-    constructor() {
-        this.canvas = document.getElementById('game-canvas');
-        this.ctx = this.canvas.getContext('2d');
-
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
+    togglePause() {
+        if (this.replayPlayer) {
+            this.toggleReplayPause();
+            return;
+        }
+        if (this.state === GAME_STATES.PLAYING) {
+            this.pause();
+        } else if (this.state === GAME_STATES.PAUSED) {
+            if (this.settingsOpen) {
+                this.closeSettings();
+            } else {
+                this.resume();
+            }
+        }
+    }
 
-        // Game objects
-        this.player = new Player(this.canvas);
-        this.pulses = [];
-        this.clots = [];
-        this.powerUps = []; // Power-up drops
+    pause() {
+        if (this.replayPlayer) {
+            this.replayPlayer.paused = true;
+            return;
+        }
+        if (this.state !== GAME_STATES.PLAYING) return;
+        // The simulation only steps while PLAYING, so every game timer freezes here
+        this.state = GAME_STATES.PAUSED;
+        this.container?.classList.remove('critical');
+        this.overlays.showPause();
+    }
 
-        // Systems
-        this.particles = new ParticleSystem();
-        this.crs = new CRSCalculator();
-        this.hud = new HUD(this.canvas);
-        this.screenShake = new ScreenShake();
-        this.levelTransition = new LevelTransition();
-        this.overlays = new OverlayController();
+    resume() {
+        if (this.state !== GAME_STATES.PAUSED) return;
+        this.state = GAME_STATES.PLAYING;
+        this.settingsOpen = false;
+        this.overlays.hideAll();
+    }
 
-        // Game state
+    quitToMenu() {
+        this.recorder.cancel();
+        this.achievements.finishRun();
+        if (this.replayPlayer) this.exitReplay();
         this.state = GAME_STATES.MENU;
-        this.level = 0;
-        this.score = 0;
-        this.pulseCooldown = 0;
-        this.spawnTimer = 0;
-        this.lastTime = 0;
-        this.gameTime = 0;
-        this.wasCritical = false;
-
-        // Dynamic difficulty - increases every 5 seconds (faster!)
-        this.difficultyTimer = 0;
-        this.difficultyLevel = 0;
-        this.difficultyMultiplier = 1.0;
-
-        // Combo system
-        this.combo = 0;
-        this.comboTimer = 0;
-        this.maxCombo = 0;
-
-        // Active power-ups
-        this.activePowerUps = {
-            rapidFire: 0,
-            multiShot: 0,
-            shield: 0
-        };
-
-        // Input
-        this.setupInput();
-        this.setupButtons();
-
-        // Start game loop
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.settingsOpen = false;
+        this.container?.classList.remove('critical');
+        this.overlays.showStart();
     }
 
-    resize() {
-        const container = document.getElementById('game-container');
-        this.canvas.width = container.clientWidth;
-        this.canvas.height = container.clientHeight;
+    openSettings() {
+        this.settingsOpen = true;
+        this.overlays.showSettings();
+    }
 
-        if (this.player) {
-            this.player.canvas = this.canvas;
-            this.player.y = this.canvas.height - 80;
+    closeSettings() {
+        this.settingsOpen = false;
+        this.input.cancelCapture();
+        if (this.state === GAME_STATES.PAUSED) {
+            this.overlays.showPause();
+        } else {
+            this.overlays.showStart();
         }
     }
 
-    setupInput() {
-        // Touch controls
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: false });
+    updateSetting(key, value) {
+        this.settings[key] = value;
+        saveData('settings', this.settings);
+        this.applySettings();
+    }
 
-        // Mouse controls
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouse(e));
-        this.canvas.addEventListener('click', () => this.fire());
+    applySettings() {
+        this.screenShake.enabled = this.settings.screenShake;
+        this.input.deadzone = this.settings.gamepadDeadzone;
+        this.audio.setVolumes({
+            master: this.settings.masterVolume,
+            music: this.settings.musicVolume,
+            sfx: this.settings.sfxVolume,
+            muted: this.settings.muted
+        });
+    }
 
-        // Prevent default behaviors
-        document.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+    renderBindings() {
+        this.overlays.renderBindings(this.input.bindings, (action, slot) => this.rebind(action, slot));
     }
 
-    handleTouch(e) {
-        e.preventDefault();
-        if (this.state !== GAME_STATES.PLAYING) return;
+    // Binds the next key or gamepad button pressed to the chosen slot
+    rebind(action, slot) {
+        this.input.captureBinding(action, slot, (bindings) => {
+            saveData('bindings', bindings);
+            this.renderBindings();
+        });
+    }
 
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (touch.clientX - rect.left) * (this.canvas.width / rect.width);
+    resetBindings() {
+        this.input.setBindings(DEFAULT_BINDINGS);
+        saveData('bindings', this.input.bindings);
+        this.renderBindings();
+    }
 
-        this.player.setTarget(x);
+    selectMode(mode) {
+        if (!Object.values(GAME_MODES).includes(mode)) return;
+        this.mode = mode;
+        this.overlays.setSelectedMode(mode);
+    }
 
-        if (e.type === 'touchstart') {
-            this.fire();
-        }
+    achievementUnlocked(achievement) {
+        this.toasts.push(achievement);
+        this.audio.play('achievement');
     }
 
-    handleMouse(e) {
-        if (this.state !== GAME_STATES.PLAYING) return;
+    renderValveSelect() {
+        this.overlays.renderValveSelect(getValveTypes(), this.progression, id => this.selectValve(id));
+    }
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    selectValve(id) {
+        if (this.progression.select(id)) this.renderValveSelect();
+    }
 
-        this.player.setTarget(x);
+    // ============================================
+    // RUN FLOW
+    // ============================================
+    startGame(seed = this.fixedSeed ?? createSeed()) {
+        this.state = GAME_STATES.PLAYING;
+        this.settingsOpen = false;
+        this.inputQueue = [];
+        this.moveAxis = 0;
+        // Runs start from a click, which satisfies the browser autoplay policy
+        this.audio.unlock();
+        this.audio.reset();
+        this.hud.ecg.reset();
+        this.flowTracers.clear();
+        // Replays rerun under the options they were recorded with
+        const replay = this.replayPlayer?.replay;
+        // Replays restart at their recorded size, whatever it was resized to since
+        if (replay) this.setArenaSize(replay.width, replay.height);
+        const run = {
+            seed,
+            mode: this.mode,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            crsModel: replay ? (replay.crsModel ?? DEFAULT_CRS_MODEL) : this.settings.crsModel,
+            valveType: replay ? (replay.valveType ?? DEFAULT_VALVE_TYPE) : this.progression.selected
+        };
+        this.sim.start(run);
+        this.achievements.startRun(!this.replayPlayer);
+        if (this.replayPlayer) {
+            this.replayPlayer.rewind();
+        } else {
+            this.recorder.start({ ...run, stepMs: SIM_STEP });
+        }
+        this.container?.classList.remove('critical');
+        this.overlays.hideAll();
+        if (this.sim.isCampaign()) this.levelTransition.start();
     }
 
-    fire() {
-        if (this.state !== GAME_STATES.PLAYING) return;
-        // Limit max pulses on screen
-        if (this.pulses.length < 20) {
-            // Multi-shot power-up: fire 3 shots
-            if (this.activePowerUps.multiShot > 0) {
-                this.pulses.push(new Pulse(this.player.x - 15, this.player.y - this.player.height / 2));
-                this.pulses.push(new Pulse(this.player.x, this.player.y - this.player.height / 2));
-                this.pulses.push(new Pulse(this.player.x + 15, this.player.y - this.player.height / 2));
-            } else {
-                this.pulses.push(new Pulse(this.player.x, this.player.y - this.player.height / 2));
-            }
+    levelComplete() {
+        this.state = GAME_STATES.LEVEL_COMPLETE;
+        // No simulation steps pass on the level-complete screen, so replays
+        // re-buy the recorded upgrades (and resizes) and continue straight on
+        if (this.replayPlayer) {
+            this.replayPlayer.takeInputs(this.sim.tick, ['upgrade', 'resize']).forEach(input => this.sim.applyInput(input));
+            this.nextLevel();
+            return;
         }
+        const levelName = LEVELS[this.sim.level].name + " Stabilized";
+        this.overlays.showLevelComplete(levelName);
+        this.renderUpgradeShop();
     }
 
-    setupButtons() {
-        document.getElementById('start-btn')?.addEventListener('click', () => this.startGame());
-        document.getElementById('restart-btn')?.addEventListener('click', () => this.startGame());
-        document.getElementById('next-level-btn')?.addEventListener('click', () => this.nextLevel());
-        document.getElementById('close-modal-btn')?.addEventListener('click', () => this.closeModal());
+    renderUpgradeShop() {
+        this.overlays.renderUpgradeShop(this.sim.weapon, this.sim.atp, stat => this.buyUpgrade(stat));
     }
 
-    startGame() {
-        this.state = GAME_STATES.PLAYING;
-        this.level = 0;
-        this.score = 0;
-        this.pulses = [];
-        this.clots = [];
-        this.powerUps = [];
-        this.crs.reset();
-        this.spawnTimer = 0;
-        this.pulseCooldown = 0;
-        this.wasCritical = false;
-        this.difficultyTimer = 0;
-        this.difficultyLevel = 0;
-        this.difficultyMultiplier = 1.0;
-        // Reset combos and power-ups
-        this.combo = 0;
-        this.comboTimer = 0;
-        this.maxCombo = 0;
-        this.activePowerUps = { rapidFire: 0, multiShot: 0, shield: 0 };
-        this.overlays.hideAll();
+    // Purchases happen between steps, so they are recorded at the step play resumes on
+    buyUpgrade(stat) {
+        const input = { type: 'upgrade', stat };
+        if (!this.sim.purchaseUpgrade(stat)) return;
+        this.recorder.record(this.sim.tick, input);
+        this.audio.play('powerup');
+        this.renderUpgradeShop();
     }
 
     nextLevel() {
-        this.level++;
-        if (this.level >= LEVELS.length) {
-            // Game complete!
-            this.state = GAME_STATES.SCIENCE_MODAL;
-            this.overlays.showScienceModal();
-        } else {
+        this.sim.nextLevel();
+        if (this.sim.isRunning()) {
             this.state = GAME_STATES.PLAYING;
-            this.clots = [];
-            this.pulses = [];
-            this.spawnTimer = 0;
-            this.difficultyTimer = 0;
-            this.difficultyLevel = 0;
-            this.difficultyMultiplier = 1.0;
             this.overlays.hideAll();
+            this.levelTransition.start();
         }
     }
 
@@ -588,223 +547,157 @@ class Game {
         this.overlays.showStart();
     }
 
-    spawnClot() {
-        const x = 30 + Math.random() * (this.canvas.width - 60);
-        const y = -80; // Start further up for big clots
-        this.clots.push(new Clot(x, y, this.difficultyMultiplier));
-    }
+    /**
+     * Ends the current run in GAME_OVER or SCIENCE_MODAL. Live runs keep
+     * their recording for saving; replays just stop on their final frame.
+     */
+    endRun(finalState) {
+        this.state = finalState;
+        this.container?.classList.remove('critical');
 
-    update(deltaTime) {
-        if (this.state !== GAME_STATES.PLAYING) return;
-
-        this.gameTime += deltaTime;
-
-        // Update difficulty every 5 seconds (2x faster!)
-        this.difficultyTimer += deltaTime;
-        const newDifficultyLevel = Math.floor(this.difficultyTimer / 5000); // Every 5 seconds now!
-        if (newDifficultyLevel > this.difficultyLevel) {
-            this.difficultyLevel = newDifficultyLevel;
-            // Faster multiplier increase: 1.0 -> 1.4 -> 1.8 -> 2.2 -> etc.
-            this.difficultyMultiplier = 1.0 + (this.difficultyLevel * 0.4);
-            // Cap at 4x difficulty
-            this.difficultyMultiplier = Math.min(this.difficultyMultiplier, 4.0);
-            // Screen shake on difficulty increase
-            this.screenShake.trigger(5);
+        if (this.replayPlayer) {
+            this.replayPlayer.finished = true;
+            return;
         }
 
-        // Update player
-        this.player.update(deltaTime);
-
-        // Auto-fire while playing
-        this.autoFireTimer = (this.autoFireTimer || 0) + deltaTime;
-        const fireRate = this.activePowerUps.rapidFire > 0 ? 75 : 120; // Faster fire rate, even faster with power-up
-        if (this.autoFireTimer >= fireRate) {
-            this.fire();
-            this.autoFireTimer = 0;
+        this.lastReplay = this.recorder.finish(this.sim.tick, this.sim.score);
+        if (finalState === GAME_STATES.GAME_OVER) {
+            this.overlays.showGameOver(this.sim.score, this.sim.getSurvivalTime(), this.random.seed, this.sim.failure);
+        } else {
+            this.overlays.showScienceModal(this.sim.score);
         }
 
-        // Update pulses
-        this.pulses = this.pulses.filter(pulse => pulse.update());
-
-        // Spawn clots - faster with difficulty
-        this.spawnTimer += deltaTime;
-        const baseSpawnRate = 2500; // Faster spawn for more action
-        const adjustedSpawnRate = baseSpawnRate / this.difficultyMultiplier;
-        if (this.spawnTimer >= adjustedSpawnRate) {
-            this.spawnClot();
-            this.spawnTimer = 0;
-            // Spawn extra clots at higher difficulty
-            if (this.difficultyLevel >= 3 && Math.random() < 0.3) {
-                this.spawnClot();
-            }
-            if (this.difficultyLevel >= 5 && Math.random() < 0.25) {
-                this.spawnClot();
+        const summary = this.sim.getRunSummary();
+        this.achievements.finishRun();
+        const newBests = this.scores.recordRun(summary);
+        const canSubmit = this.scores.qualifiesForLeaderboard(summary.score);
+        this.lastRun = canSubmit ? summary : null;
+        this.overlays.showRunSummary(summary, newBests, this.scores.highScores, canSubmit, this.scores.lastInitials);
+        const unlocked = this.progression.recordRun(summary);
+        this.overlays.showUnlocks(summary, unlocked);
+        if (unlocked.length > 0) this.renderValveSelect();
+        this.overlays.drawTimeline(summary, this.sim.timeline);
+        this.lastReport = { timeline: this.sim.timeline, meta: { seed: summary.seed, mode: summary.mode, summary } };
+    }
+
+    exportReport(format) {
+        if (this.lastReport) exportTimeline(this.lastReport.timeline, format, this.lastReport.meta);
+    }
+
+    submitHighScore(initials) {
+        // One entry per run
+        if (!this.lastRun) return;
+        const rank = this.scores.addHighScore(initials, this.lastRun);
+        this.overlays.showSavedHighScore(this.lastRun, this.scores.highScores, rank);
+        this.lastRun = null;
+    }
+
+    // ============================================
+    // REPLAYS
+    // ============================================
+    saveReplay() {
+        if (this.lastReplay) exportReplay(this.lastReplay);
+    }
+
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.startReplay(parseReplay(reader.result));
+            } catch (err) {
+                this.overlays.showReplayError(`Could not load replay: ${err.message}`);
             }
-        }
+        };
+        reader.readAsText(file);
+    }
 
-        // Update clots
-        this.clots.forEach(clot => clot.update(deltaTime, this.canvas.width));
-
-        // Check collisions
-        this.checkCollisions();
-
-        // Remove clots that passed the screen - BIG CRS PENALTY
-        this.clots = this.clots.filter(clot => {
-            if (clot.y > this.canvas.height + clot.radius) {
-                // Clot escaped - MAJOR CRS penalty (25-40 based on size)
-                const penalty = 25 + (clot.getScale() * 15);
-                this.crs.crsValue += penalty;
-                // Screen shake on escape
-                this.screenShake.trigger(8);
-                return false;
-            }
-            return true;
-        });
+    startReplay(replay) {
+        this.overlays.showReplayError('');
+        this.modeBeforeReplay = this.mode;
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.mode = replay.mode;
+        this.startGame(replay.seed);
+        this.overlays.showReplayControls(true, replay.totalSteps);
+    }
 
-        // Update CRS
-        this.crs.update(this.clots, deltaTime);
+    exitReplay() {
+        this.replayPlayer = null;
+        this.mode = this.modeBeforeReplay;
+        this.overlays.showReplayControls(false);
+        this.resize();
+    }
 
-        // Check for critical CRS - visual warning
-        const container = document.getElementById('game-container');
-        if (this.crs.isCritical()) {
-            container?.classList.add('critical');
-            if (!this.wasCritical) {
-                this.screenShake.trigger(15);
-                this.wasCritical = true;
-            }
-        } else {
-            container?.classList.remove('critical');
-            this.wasCritical = false;
-        }
+    toggleReplayPause() {
+        if (this.replayPlayer) this.replayPlayer.paused = !this.replayPlayer.paused;
+    }
 
-        // Check for game over
-        if (this.crs.isFailed()) {
-            this.state = GAME_STATES.GAME_OVER;
-            container?.classList.remove('critical');
-            const survivalTime = Math.floor(this.difficultyTimer / 1000);
-            this.overlays.showGameOver(this.score, survivalTime);
+    /**
+     * Jumps playback to a simulation step. Runs are deterministic, so going
+     * backwards restarts from the seed and fast-forwards without rendering.
+     */
+    seekReplay(step) {
+        if (!this.replayPlayer) return;
+        if (step < this.sim.tick) {
+            this.startGame(this.replayPlayer.replay.seed);
+        }
+        this.audio.silenced = true;
+        while (this.sim.tick < step && this.state === GAME_STATES.PLAYING) {
+            this.update(SIM_STEP);
         }
+        this.audio.silenced = false;
+        this.accumulator = 0;
+    }
 
-        // Infinite mode - no level completion check
-        // Game continues until CRS fails
-
-        // Update power-ups
-        this.powerUps = this.powerUps.filter(pu => pu.update(deltaTime));
-
-        // Check power-up collection
-        this.powerUps = this.powerUps.filter(pu => {
-            const dx = pu.x - this.player.x;
-            const dy = pu.y - this.player.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist < pu.radius + 30) {
-                // Collected!
-                this.applyPowerUp(pu.typeKey);
-                this.particles.emit(pu.x, pu.y, 15, [pu.type.color, '#ffffff']);
-                this.screenShake.trigger(3);
-                return false;
-            }
-            return true;
-        });
+    // ============================================
+    // UPDATE & RENDER
+    // ============================================
+    update(deltaTime) {
+        if (this.state !== GAME_STATES.PLAYING) return;
 
-        // Update combo timer
-        if (this.combo > 0) {
-            this.comboTimer -= deltaTime;
-            if (this.comboTimer <= 0) {
-                this.combo = 0; // Combo expired
-            }
-        }
+        const sim = this.sim;
+        sim.step(this.collectInputs(sim.tick));
+        if (this.state !== GAME_STATES.PLAYING) return;
 
-        // Update active power-up timers
-        for (const key in this.activePowerUps) {
-            if (this.activePowerUps[key] > 0) {
-                this.activePowerUps[key] -= deltaTime;
+        // Boss defeat sequence - rolling bursts while the thrombus dissolves
+        if (sim.boss?.defeated) {
+            const fx = this.random.cosmetic;
+            if (fx.chance(0.3)) {
+                const angle = fx.range(0, Math.PI * 2);
+                const dist = fx.range(0, sim.boss.radius);
+                this.particles.emit(
+                    sim.boss.x + Math.cos(angle) * dist,
+                    sim.boss.y + Math.sin(angle) * dist,
+                    10, COLORS.particleColors
+                );
+                this.screenShake.trigger(6);
             }
         }
 
+        const half = this.canvas.width / 2;
+        this.hud.setStagnationActivity(
+            sim.clots.filter(c => c.inStagnation && c.x < half).length,
+            sim.clots.filter(c => c.inStagnation && c.x >= half).length
+        );
+
+        // Warning beeps while CRS is critical
+        this.audio.update(deltaTime, sim.crs.isCritical());
+
         // Update particles
-        this.particles.update();
+        this.particles.update(deltaTime, sim.flowField);
+        if (this.settings.showFlowField) this.flowTracers.update(deltaTime, sim.flowField);
 
         // Update UI
-        this.hud.update(deltaTime);
-        this.screenShake.update();
+        this.hud.update(deltaTime, sim.crs.getCRSPercentage());
+        this.hud.setCRSTerms(sim.crs.getTerms());
+        this.screenShake.update(deltaTime);
         this.levelTransition.update(deltaTime);
     }
 
-    checkCollisions() {
-        const pulsesToRemove = new Set();
-        const clotsToRemove = new Set();
-
-        this.pulses.forEach((pulse, pi) => {
-            this.clots.forEach((clot, ci) => {
-                if (circleCollision(pulse.x, pulse.y, pulse.radius, clot.x, clot.y, clot.radius)) {
-                    pulsesToRemove.add(pi);
-
-                    // Particles on hit
-                    this.particles.emit(pulse.x, pulse.y, 4, COLORS.particleColors);
-
-                    // Combo system - increase combo on hit
-                    this.combo++;
-                    this.comboTimer = 1500; // 1.5 second combo window
-                    if (this.combo > this.maxCombo) this.maxCombo = this.combo;
-
-                    // Score with combo multiplier!
-                    const comboBonus = Math.min(this.combo, 10); // Max 10x
-                    this.score += 5 * comboBonus;
-
-                    if (clot.hit()) {
-                        // Clot destroyed!
-                        clotsToRemove.add(ci);
-
-                        // Big bonus with combo
-                        this.score += 50 * comboBonus;
-                        this.crs.onClotDestroyed(clot.getScale());
-
-                        // Spawn power-up if clot drops one
-                        if (clot.dropsPowerUp) {
-                            this.powerUps.push(new PowerUp(clot.x, clot.y));
-                        }
-
-                        // Big particle burst
-                        this.particles.emit(clot.x, clot.y, 30, COLORS.particleColors);
-
-                        // Screen shake on destroy
-                        this.screenShake.trigger(4);
-                    }
-                }
-            });
-        });
-
-        // Remove destroyed objects
-        this.pulses = this.pulses.filter((_, i) => !pulsesToRemove.has(i));
-        this.clots = this.clots.filter((_, i) => !clotsToRemove.has(i));
-    }
-
-    applyPowerUp(typeKey) {
-        switch (typeKey) {
-            case 'RAPID_FIRE':
-                this.activePowerUps.rapidFire = POWERUP_TYPES.RAPID_FIRE.duration;
-                break;
-            case 'HEAL':
-                this.crs.crsValue = Math.max(0, this.crs.crsValue - 25);
-                break;
-            case 'MULTI_SHOT':
-                this.activePowerUps.multiShot = POWERUP_TYPES.MULTI_SHOT.duration;
-                break;
-            case 'SHIELD':
-                this.activePowerUps.shield = POWERUP_TYPES.SHIELD.duration;
-                break;
-        }
-        this.score += 100; // Bonus for collecting power-up
-    }
-
-    levelComplete() {
-        this.state = GAME_STATES.LEVEL_COMPLETE;
-        const levelName = LEVELS[this.level].name + " Stabilized";
-        this.overlays.showLevelComplete(levelName);
-    }
-
-    draw() {
+    // alpha is the fraction of a simulation step elapsed since the last update,
+    // used to interpolate moving entities between their previous and current positions
+    draw(alpha = 1) {
         const ctx = this.ctx;
+        const sim = this.sim;
         const shake = this.screenShake.getOffset();
 
         ctx.save();
@@ -813,15 +706,21 @@ class Game {
         // Clear with background
         this.drawBackground();
 
+        // Optional CFD view - tracers riding the blood flow field
+        if (this.settings.showFlowField) this.flowTracers.draw(ctx, this.flowImage, alpha);
+
         // Draw game objects
-        this.clots.forEach(clot => clot.draw(ctx, this.gameTime));
-        this.powerUps.forEach(pu => pu.draw(ctx, this.gameTime)); // Draw power-ups
-        this.pulses.forEach(pulse => pulse.draw(ctx));
-        this.player.draw(ctx);
-        this.particles.draw(ctx);
+        if (sim.boss) sim.boss.draw(ctx, sim.time, alpha);
+        sim.clots.forEach(clot => clot.draw(ctx, sim.time, alpha));
+        sim.powerUps.forEach(pu => pu.draw(ctx, sim.time, alpha)); // Draw power-ups
+        sim.pulses.forEach(pulse => pulse.draw(ctx, alpha));
+        sim.shockwaves.forEach(wave => wave.draw(ctx, alpha));
+        sim.player.draw(ctx, alpha);
+        sim.player.drawShield(ctx, sim.activePowerUps.getRemaining('SHIELD'), alpha);
+        this.particles.draw(ctx, alpha);
 
         // Draw combo indicator
-        if (this.combo > 1) {
+        if (sim.combo > 1) {
             this.drawCombo(ctx);
         }
 
@@ -829,21 +728,35 @@ class Game {
         this.drawActivePowerUps(ctx);
 
         // Draw HUD
-        const survivalTime = Math.floor(this.difficultyTimer / 1000);
-        this.hud.draw(this.score, survivalTime, this.crs.getCRSPercentage());
+        const phase = sim.isCampaign() ? {
+            index: sim.level,
+            total: LEVELS.length,
+            name: LEVELS[Math.min(sim.level, LEVELS.length - 1)].name,
+            targetScore: LEVELS[Math.min(sim.level, LEVELS.length - 1)].targetScore,
+            atp: sim.atp
+        } : null;
+        const boss = sim.boss ? {
+            name: sim.boss.name,
+            healthFraction: sim.boss.getHealthFraction(),
+            phaseLabel: sim.boss.defeated ? 'DISSOLVING' : sim.boss.phase.label
+        } : null;
+        const valve = { integrity: sim.player.integrity, max: sim.player.maxIntegrity };
+        const special = { charge: sim.specialCharge, max: DEFIBRILLATOR.maxCharge };
+        this.hud.draw(sim.score, sim.getSurvivalTime(), sim.crs.getCRSPercentage(), phase, boss, valve, special);
 
         // Level transition
         this.levelTransition.draw(ctx, this.canvas.width, this.canvas.height);
+        this.toasts.draw(ctx, this.canvas.width);
 
         ctx.restore();
     }
 
     drawCombo(ctx) {
-        const comboSize = Math.min(this.combo, 10);
+        const comboSize = Math.min(this.sim.combo, 10);
         const scale = 1 + (comboSize * 0.05);
 
         ctx.save();
-        ctx.translate(this.canvas.width / 2, 100);
+        ctx.translate(this.canvas.width / 2, this.sim.boss ? 130 : 100);
         ctx.scale(scale, scale);
 
         // Combo text
@@ -859,26 +772,17 @@ class Game {
     }
 
     drawActivePowerUps(ctx) {
-        let y = 130;
+        let y = this.sim.boss ? 160 : 130;
         const x = this.canvas.width / 2;
 
         ctx.font = '14px Rajdhani, sans-serif';
         ctx.textAlign = 'center';
 
-        if (this.activePowerUps.rapidFire > 0) {
-            ctx.fillStyle = POWERUP_TYPES.RAPID_FIRE.color;
-            ctx.fillText(`⚡ RAPID FIRE ${Math.ceil(this.activePowerUps.rapidFire / 1000)}s`, x, y);
-            y += 18;
-        }
-        if (this.activePowerUps.multiShot > 0) {
-            ctx.fillStyle = POWERUP_TYPES.MULTI_SHOT.color;
-            ctx.fillText(`🔱 TRIPLE SHOT ${Math.ceil(this.activePowerUps.multiShot / 1000)}s`, x, y);
+        this.sim.activePowerUps.getActive().forEach(({ type, remaining }) => {
+            ctx.fillStyle = type.color;
+            ctx.fillText(`${type.icon} ${type.name.toUpperCase()} ${Math.ceil(remaining / 1000)}s`, x, y);
             y += 18;
-        }
-        if (this.activePowerUps.shield > 0) {
-            ctx.fillStyle = POWERUP_TYPES.SHIELD.color;
-            ctx.fillText(`🛡️ SHIELD ${Math.ceil(this.activePowerUps.shield / 1000)}s`, x, y);
-        }
+        });
     }
 
     drawBackground() {
@@ -911,8 +815,8 @@ class Game {
             ctx.stroke();
         }
 
-        // Pulsing center glow
-        const pulseAlpha = 0.03 + Math.sin(this.gameTime * 0.002) * 0.02;
+        // Center glow pulses with each systolic ejection
+        const pulseAlpha = 0.02 + this.sim.cardiac.getIntensity() * 0.06;
         const centerGradient = ctx.createRadialGradient(
             this.canvas.width / 2, this.canvas.height / 2, 0,
             this.canvas.width / 2, this.canvas.height / 2, this.canvas.width
@@ -924,14 +828,39 @@ class Game {
     }
 
     gameLoop(currentTime) {
-        const deltaTime = currentTime - this.lastTime;
+        this.input.pollGamepad();
+
+        // Clamp long gaps (e.g. a backgrounded tab) so they don't flood the accumulator
+        const frameTime = Math.min(currentTime - this.lastTime, MAX_FRAME_TIME);
         this.lastTime = currentTime;
 
-        // Cap delta time to prevent spiral of death
-        const cappedDelta = Math.min(deltaTime, 32);
+        // Replays can be paused or sped up by scaling simulated time
+        const replay = this.replayPlayer;
+        const speed = replay ? (replay.paused ? 0 : replay.speed) : 1;
+        const maxSteps = MAX_STEPS_PER_FRAME * Math.max(1, speed);
+        this.accumulator += frameTime * speed;
+
+        // Advance the simulation in fixed steps
+        let steps = 0;
+        while (this.accumulator >= SIM_STEP && steps < maxSteps) {
+            this.update(SIM_STEP);
+            this.accumulator -= SIM_STEP;
+            steps++;
+        }
+        // Too far behind to catch up - drop the backlog to prevent a spiral of death
+        if (steps === maxSteps) this.accumulator = 0;
+
+        // Toasts run on real time, so they finish even after the run ends
+        this.toasts.update(frameTime);
+
+        if (replay) {
+            this.overlays.updateReplayControls(this.sim.tick, replay.replay.totalSteps, SIM_STEP, replay.paused, replay.speed);
+        }
 
-        this.update(cappedDelta);
-        this.draw();
+        // Nothing moves outside of play, so only interpolate while playing
+        const alpha = this.state === GAME_STATES.PLAYING ? this.accumulator / SIM_STEP : 1;
+        this.draw(alpha);
+        this.overlays.setPauseButtonVisible(this.state === GAME_STATES.PLAYING && !this.replayPlayer);
 
         requestAnimationFrame((t) => this.gameLoop(t));
     }
@@ -941,5 +870,8 @@ class Game {
 // INITIALIZATION
 // ============================================
 window.addEventListener('DOMContentLoaded', () => {
-    new Game();
+    // ?seed=<number|text> pins every run to one seed for reproducing reports
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    const fixedSeed = seedParam !== null ? parseSeed(seedParam) : null;
+    new Game(new RandomService(), fixedSeed);
 });
@@ -1,37 +1,53 @@
 /**
  * Physics.js - Collision Detection & CRS Calculations
- * Handles soft-body physics, particle systems, and the CRS algorithm
+ * Handles soft-body physics, particle systems, the blood flow field and
+ * the CRS algorithm
  */
 
+import { createCRSModel, DEFAULT_CRS_MODEL } from './CRSModels.js';
+
 // ============================================
 // PARTICLE SYSTEM
 // ============================================
+// Velocities are in px/s, decay in life/s, gravity in px/s²
 export class Particle {
-    constructor(x, y, color) {
+    constructor(x, y, color, rng) {
         this.x = x;
         this.y = y;
-        this.vx = (Math.random() - 0.5) * 8;
-        this.vy = (Math.random() - 0.5) * 8 - 3;
+        this.prevX = x;
+        this.prevY = y;
+        this.vx = rng.range(-240, 240);
+        this.vy = rng.range(-240, 240) - 180;
         this.life = 1.0;
-        this.decay = 0.02 + Math.random() * 0.02;
-        this.size = 3 + Math.random() * 5;
+        this.decay = rng.range(1.2, 2.4);
+        this.size = rng.range(3, 8);
         this.color = color;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.2;
+        this.rotation = rng.range(0, Math.PI * 2);
+        this.rotationSpeed = rng.range(-6, 6);
     }
 
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.vy += 0.15; // Gravity
-        this.life -= this.decay;
-        this.rotation += this.rotationSpeed;
-        this.size *= 0.97;
+    // With a flow field, drag pulls the particle toward the local blood velocity instead of gravity
+    update(deltaTime, flowField = null) {
+        const dt = deltaTime / 1000;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        if (flowField) {
+            const flow = flowField.sample(this.x, this.y);
+            this.vx = approach(this.vx, flow.vx * FLOW_REFERENCE_SPEED, 4, deltaTime);
+            this.vy = approach(this.vy, flow.vy * FLOW_REFERENCE_SPEED, 4, deltaTime);
+        } else {
+            this.vy += 540 * dt; // Gravity
+        }
+        this.life -= this.decay * dt;
+        this.rotation += this.rotationSpeed * dt;
+        this.size *= frameDecay(0.97, deltaTime);
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.translate(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
         ctx.rotate(this.rotation);
         ctx.globalAlpha = this.life;
         ctx.fillStyle = this.color;
@@ -46,27 +62,29 @@ export class Particle {
     }
 }
 
+// Particles are purely visual, so they draw from the cosmetic random stream
 export class ParticleSystem {
-    constructor() {
+    constructor(random) {
+        this.random = random;
         this.particles = [];
     }
 
     emit(x, y, count, colors) {
+        const rng = this.random.cosmetic;
         for (let i = 0; i < count; i++) {
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            this.particles.push(new Particle(x, y, color));
+            this.particles.push(new Particle(x, y, rng.pick(colors), rng));
         }
     }
 
-    update() {
+    update(deltaTime, flowField = null) {
         this.particles = this.particles.filter(p => {
-            p.update();
+            p.update(deltaTime, flowField);
             return !p.isDead();
         });
     }
 
-    draw(ctx) {
-        this.particles.forEach(p => p.draw(ctx));
+    draw(ctx, alpha = 1) {
+        this.particles.forEach(p => p.draw(ctx, alpha));
     }
 }
 
@@ -74,35 +92,73 @@ export class ParticleSystem {
 // CRS ALGORITHM
 // ============================================
 export class CRSCalculator {
-    constructor() {
+    // model is a CRSModel (see CRSModels.js); defaults to the residence-time formula
+    constructor(model = createCRSModel(DEFAULT_CRS_MODEL)) {
         this.crsValue = 0;
         this.maxCRS = 100;
-        this.recoveryRate = 5; // CRS reduction per successful hit
+        this.setModel(model);
+    }
+
+    setModel(model) {
+        this.model = model;
+        this.reset();
     }
 
     /**
-     * CRS_total = Σ(ResidenceTime × ClotMass)
-     * Where ClotMass is proportional to clot size
+     * Adds every source's contribution for this step. termRates keeps a
+     * smoothed per-second breakdown for the HUD.
+     * @param {object} context - { flowField, difficulty } passed to the model
      */
-    update(clots, deltaTime) {
-        let crsIncrease = 0;
+    update(sources, deltaTime, context = {}) {
+        const totals = {};
+        Object.keys(this.model.terms).forEach(key => { totals[key] = 0; });
 
-        clots.forEach(clot => {
-            // ResidenceTime is tracked per clot
-            // ClotMass is proportional to size (use getScale() if available, otherwise calculate from radius)
-            const scale = clot.getScale ? clot.getScale() : (clot.radius / 50);
-            const mass = scale * scale; // Squared for more dramatic effect
-            const residenceContribution = mass * (deltaTime / 1000) * 2;
-            crsIncrease += residenceContribution;
+        this.model.update(deltaTime);
+        sources.forEach(source => {
+            const rates = this.model.rates(source, context);
+            for (const key in rates) totals[key] += rates[key];
         });
 
+        let crsIncrease = 0;
+        const smoothing = 1 - Math.exp(-deltaTime / 500);
+        for (const key in totals) {
+            crsIncrease += totals[key] * (deltaTime / 1000);
+            this.termRates[key] = lerp(this.termRates[key] ?? 0, totals[key], smoothing);
+        }
+
         this.crsValue = Math.min(this.maxCRS, this.crsValue + crsIncrease);
     }
 
+    // Escaped clots cost CRS directly; returns the penalty applied
+    applyEscape(clot) {
+        const penalty = this.model.escapePenalty(clot);
+        this.model.onEscape(clot);
+        this.crsValue += penalty;
+        return penalty;
+    }
+
     onClotDestroyed(clotScale) {
-        // Larger clots give more CRS reduction
-        const reduction = this.recoveryRate * clotScale;
-        this.crsValue = Math.max(0, this.crsValue - reduction);
+        this.crsValue = Math.max(0, this.crsValue - this.model.destroyRelief(clotScale));
+    }
+
+    applyHeal() {
+        this.crsValue = Math.max(0, this.crsValue - this.model.healRelief);
+    }
+
+    /**
+     * Model terms with their current share of the rising risk, largest first.
+     * Shares are 0 while nothing is adding CRS.
+     */
+    getTerms() {
+        const total = Object.values(this.termRates).reduce((sum, rate) => sum + rate, 0);
+        return Object.entries(this.model.terms)
+            .map(([key, label]) => ({
+                key,
+                label,
+                rate: this.termRates[key] ?? 0,
+                share: total > 0.01 ? (this.termRates[key] ?? 0) / total : 0
+            }))
+            .sort((a, b) => b.rate - a.rate);
     }
 
     getCRS() {
@@ -123,6 +179,8 @@ export class CRSCalculator {
 
     reset() {
         this.crsValue = 0;
+        this.termRates = {};
+        this.model.reset();
     }
 }
 
@@ -145,11 +203,137 @@ export function pointInCircle(px, py, cx, cy, r) {
 // ============================================
 // STAGNATION ZONE DETECTION
 // ============================================
+export const STAGNATION_ZONE_WIDTH = 0.15; // 15% on each side
+
+// Tests the body's centre, so large clots and the boss only stagnate once inside the zone
 export function isInStagnationZone(x, canvasWidth) {
-    const zoneWidth = canvasWidth * 0.15; // 15% on each side
+    const zoneWidth = canvasWidth * STAGNATION_ZONE_WIDTH;
     return x < zoneWidth || x > canvasWidth - zoneWidth;
 }
 
+// ============================================
+// FLOW FIELD
+// Simplified valve hemodynamics: a central jet through the orifice,
+// recirculation vortices beside the hinges and near-still blood in the
+// stagnation zones. Velocities are relative to the core flow (1 = a clot
+// moving at its own speed), so entities scale them by their speed.
+// ============================================
+export const FLOW_REFERENCE_SPEED = 60; // px/s of one flow unit, for free-floating particles
+
+const JET = { base: 0.55, peak: 0.65, width: 0.5 };
+const VORTEX = { x: 0.14, y: 0.45, radius: 0.12, strength: 0.6 };
+
+export class FlowField {
+    // stagnationFlow is the velocity left inside the hinge zones
+    constructor(stagnationFlow) {
+        this.stagnationFlow = stagnationFlow;
+        this.width = 1;
+        this.height = 1;
+        this.pulse = 1;
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    // Cardiac flow multiplier - the whole field surges in systole
+    setPulse(pulse) {
+        this.pulse = pulse;
+    }
+
+    sample(x, y) {
+        // -1 at the left wall, 0 on the valve axis, 1 at the right wall
+        const d = (x / this.width) * 2 - 1;
+        const jet = JET.base + JET.peak * Math.exp(-((d / JET.width) ** 2));
+
+        // Blend the jet down to the stagnation velocity across the zone boundary
+        const edge = 1 - STAGNATION_ZONE_WIDTH * 2;
+        const blend = smoothStep(Math.max(0, Math.min(1, (Math.abs(d) - edge + 0.1) / 0.2)));
+        let vx = 0;
+        let vy = lerp(jet, this.stagnationFlow, blend);
+
+        // Mirrored vortices: blood runs down beside the jet and back up along the wall
+        const radius = VORTEX.radius * this.width;
+        const cy = VORTEX.y * this.height;
+        [[VORTEX.x * this.width, 1], [(1 - VORTEX.x) * this.width, -1]].forEach(([cx, spin]) => {
+            const dx = x - cx;
+            const dy = y - cy;
+            const r = Math.sqrt(dx * dx + dy * dy);
+            if (r < 1) return;
+            // Rankine-style profile: solid rotation in the core, decaying outside
+            const tangential = r < radius
+                ? VORTEX.strength * (r / radius)
+                : VORTEX.strength * (radius / r) * Math.exp(-(r - radius) / radius);
+            vx += -dy / r * tangential * spin;
+            vy += dx / r * tangential * spin;
+        });
+
+        return { vx: vx * this.pulse, vy: vy * this.pulse };
+    }
+}
+
+// ============================================
+// FLOW TRACERS
+// Cosmetic markers advected by the field to visualise it
+// ============================================
+export class FlowTracers {
+    constructor(random, count = 70) {
+        this.random = random;
+        this.count = count;
+        this.tracers = [];
+    }
+
+    spawn(field, anywhere) {
+        const rng = this.random.cosmetic;
+        const x = rng.range(0, field.width);
+        const y = anywhere ? rng.range(0, field.height) : rng.range(-20, 0);
+        return { x, y, prevX: x, prevY: y, age: 0, life: rng.range(3000, 7000) };
+    }
+
+    update(deltaTime, field) {
+        while (this.tracers.length < this.count) this.tracers.push(this.spawn(field, true));
+
+        const dt = deltaTime / 1000;
+        this.tracers = this.tracers.map(t => {
+            const flow = field.sample(t.x, t.y);
+            t.prevX = t.x;
+            t.prevY = t.y;
+            // Tracers move faster than the clots so the pattern reads at a glance
+            t.x += flow.vx * FLOW_REFERENCE_SPEED * 2 * dt;
+            t.y += flow.vy * FLOW_REFERENCE_SPEED * 2 * dt;
+            t.age += deltaTime;
+            const gone = t.y > field.height + 10 || t.x < -10 || t.x > field.width + 10 || t.age > t.life;
+            return gone ? this.spawn(field, t.age > t.life) : t;
+        });
+    }
+
+    clear() {
+        this.tracers = [];
+    }
+
+    // image is the tracer sprite; falls back to dots until it has loaded
+    draw(ctx, image, alpha = 1) {
+        const size = 8;
+        ctx.save();
+        this.tracers.forEach(t => {
+            // Fade in and out over the tracer's life
+            ctx.globalAlpha = 0.45 * Math.max(0, Math.min(1, t.age / 400, (t.life - t.age) / 400));
+            const x = lerp(t.prevX, t.x, alpha);
+            const y = lerp(t.prevY, t.y, alpha);
+            if (image?.complete && image.naturalWidth > 0) {
+                ctx.drawImage(image, x - size / 2, y - size / 2, size, size);
+            } else {
+                ctx.fillStyle = '#f8c5be';
+                ctx.beginPath();
+                ctx.arc(x, y, size / 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+        ctx.restore();
+    }
+}
+
 // ============================================
 // SOFT BODY WOBBLE PHYSICS
 // ============================================
@@ -183,6 +367,16 @@ export function lerp(start, end, factor) {
     return start + (end - start) * factor;
 }
 
+// Converts a per-frame multiplier tuned at 60 fps into one for any deltaTime
+export function frameDecay(factor, deltaTime) {
+    return Math.pow(factor, deltaTime / (1000 / 60));
+}
+
+// Exponential approach toward a target at `rate` per second, independent of frame rate
+export function approach(current, target, rate, deltaTime) {
+    return lerp(current, target, 1 - Math.exp(-rate * deltaTime / 1000));
+}
+
 export function smoothStep(x) {
     return x * x * (3 - 2 * x);
 }
@@ -0,0 +1,151 @@
+/**
+ * PowerUps.js - Power-up Registry & Active Effects
+ * Each drop is a registry entry: the POWERUP_TYPES tuning plus apply, tick
+ * and expire hooks that act on the simulation. New drops only need a
+ * registerPowerUp call. Repeat pickups follow the entry's stacking rule.
+ */
+
+import { POWERUP_TYPES, POWERUP_STACKING } from './Config.js';
+
+const registry = {};
+
+/**
+ * @param {string} key - POWERUP_TYPES key, or a new key with its own name, color, icon...
+ * @param {object} definition - Overrides and hooks:
+ *   apply(sim)         - effect starts (instant drops only apply)
+ *   tick(sim, dt)      - every step while active
+ *   expire(sim)        - timer ran out or the effect was ended early
+ */
+export function registerPowerUp(key, definition) {
+    registry[key] = {
+        duration: 0,
+        stacking: POWERUP_STACKING.REFRESH,
+        weight: 1,
+        apply() {},
+        tick() {},
+        expire() {},
+        ...POWERUP_TYPES[key],
+        ...definition,
+        key
+    };
+}
+
+export function getPowerUp(key) {
+    return registry[key];
+}
+
+// Random drop key, weighted by each entry's drop odds
+export function pickPowerUp(rng) {
+    const weights = {};
+    Object.values(registry).forEach(type => { weights[type.key] = type.weight; });
+    return rng.weighted(weights);
+}
+
+// ============================================
+// BUILT-IN POWER-UPS
+// ============================================
+registerPowerUp('RAPID_FIRE', {
+    apply: sim => { sim.modifiers.fireIntervalScale = POWERUP_TYPES.RAPID_FIRE.fireIntervalScale; },
+    expire: sim => { sim.modifiers.fireIntervalScale = 1; }
+});
+
+registerPowerUp('HEAL', {
+    apply: sim => sim.crs.applyHeal()
+});
+
+registerPowerUp('MULTI_SHOT', {
+    apply: sim => { sim.modifiers.multiShot = true; },
+    expire: sim => { sim.modifiers.multiShot = false; }
+});
+
+// The simulation checks the shield timer itself and ends it when it absorbs a hit
+registerPowerUp('SHIELD', {});
+
+registerPowerUp('TPA', {
+    apply: sim => { sim.modifiers.piercing = true; },
+    expire: sim => { sim.modifiers.piercing = false; }
+});
+
+registerPowerUp('HEPARIN', {
+    apply: sim => { sim.modifiers.clotTimeScale = POWERUP_TYPES.HEPARIN.slowFactor; },
+    expire: sim => { sim.modifiers.clotTimeScale = 1; }
+});
+
+// Drags every drop on screen toward the valve
+registerPowerUp('MAGNET', {
+    tick(sim, deltaTime) {
+        const reach = POWERUP_TYPES.MAGNET.pullSpeed * deltaTime / 1000;
+        sim.powerUps.forEach(drop => {
+            const dx = sim.player.x - drop.x;
+            const dy = sim.player.y - drop.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > reach) {
+                drop.x += (dx / dist) * reach;
+                drop.y += (dy / dist) * reach;
+            }
+        });
+    }
+});
+
+registerPowerUp('ANTICOAG_BOMB', {
+    apply: sim => sim.dissolveClots(POWERUP_TYPES.ANTICOAG_BOMB.pointsPerClot)
+});
+
+// ============================================
+// ACTIVE POWER-UPS
+// ============================================
+export class ActivePowerUps {
+    constructor(sim) {
+        this.sim = sim;
+        this.timers = {};
+    }
+
+    // Drops every timer without running expire hooks - the run is starting over
+    reset() {
+        this.timers = {};
+    }
+
+    isActive(key) {
+        return (this.timers[key] ?? 0) > 0;
+    }
+
+    getRemaining(key) {
+        return Math.max(0, this.timers[key] ?? 0);
+    }
+
+    // Timed effects in pickup order, for the HUD
+    getActive() {
+        return Object.keys(this.timers).map(key => ({ key, type: registry[key], remaining: this.timers[key] }));
+    }
+
+    collect(key) {
+        const type = registry[key];
+        if (type.stacking === POWERUP_STACKING.INSTANT) {
+            type.apply(this.sim);
+            return;
+        }
+        const duration = type.duration * this.sim.modifiers.powerUpDurationScale;
+        if (!this.isActive(key)) {
+            this.timers[key] = duration;
+            type.apply(this.sim);
+        } else if (type.stacking === POWERUP_STACKING.EXTEND) {
+            this.timers[key] = Math.min(type.maxDuration ?? Infinity, this.timers[key] + duration);
+        } else {
+            this.timers[key] = duration;
+        }
+    }
+
+    update(deltaTime) {
+        Object.keys(this.timers).forEach(key => {
+            registry[key].tick(this.sim, deltaTime);
+            this.timers[key] -= deltaTime;
+            if (this.timers[key] <= 0) this.end(key);
+        });
+    }
+
+    end(key) {
+        if (!(key in this.timers)) return;
+        delete this.timers[key];
+        registry[key].expire(this.sim);
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Progression.js - Lifetime Progress & Valve Unlocks
+ * Totals that carry over between runs, the valve designs they and
+ * achievements have unlocked, and the valve picked on the start screen.
+ * Unlocks are stored, so a valve stays available once earned.
+ */
+
+import { loadData, saveData } from './Storage.js';
+import { DEFAULT_VALVE_TYPE, getValveTypes } from './ValveTypes.js';
+
+// ============================================
+// PROGRESSION
+// ============================================
+export class Progression {
+    // achievements is the AchievementBook consulted for achievement unlocks
+    constructor(achievements) {
+        this.achievements = achievements;
+        const saved = loadData('progression', {});
+        this.totalScore = saved.totalScore ?? 0;
+        this.unlocked = saved.unlocked ?? [];
+        this.selected = saved.selected ?? DEFAULT_VALVE_TYPE;
+        this.unlockEarned();
+        if (!this.isUnlocked(this.selected)) this.selected = DEFAULT_VALVE_TYPE;
+    }
+
+    save() {
+        saveData('progression', {
+            totalScore: this.totalScore,
+            unlocked: this.unlocked,
+            selected: this.selected
+        });
+    }
+
+    isUnlocked(id) {
+        return this.unlocked.includes(id);
+    }
+
+    meetsUnlock(unlock) {
+        if (!unlock) return true;
+        if (unlock.achievement && !this.achievements.isUnlocked(unlock.achievement)) return false;
+        return this.totalScore >= (unlock.totalScore ?? 0);
+    }
+
+    // Unlocks every valve whose requirement is now met; returns the new ones
+    unlockEarned() {
+        const earned = getValveTypes().filter(type => !this.isUnlocked(type.id) && this.meetsUnlock(type.unlock));
+        earned.forEach(type => this.unlocked.push(type.id));
+        return earned;
+    }
+
+    select(id) {
+        if (!this.isUnlocked(id)) return false;
+        this.selected = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Adds a finished run to the lifetime totals and returns the valve
+     * types it unlocked
+     */
+    recordRun(summary) {
+        this.totalScore += summary.score;
+        const earned = this.unlockEarned();
+        this.save();
+        return earned;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Random.js - Seeded Random Number Generation
+ * Deterministic PRNG streams so the same seed and inputs reproduce a run
+ */
+
+// ============================================
+// SEEDED PRNG (mulberry32)
+// ============================================
+export class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    // Key of a { key: weight } table, drawn in proportion to its weight
+    weighted(table) {
+        const entries = Object.entries(table);
+        let roll = this.range(0, entries.reduce((sum, [, weight]) => sum + weight, 0));
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+// ============================================
+// RANDOM SERVICE
+// Gameplay and cosmetic randomness are separate streams, so visual
+// effects (particles, wobble, fibrin detail) never shift gameplay rolls
+// ============================================
+export class RandomService {
+    constructor(seed = createSeed()) {
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay = new SeededRandom(this.seed);
+        this.cosmetic = new SeededRandom(this.seed ^ 0x9e3779b9);
+    }
+}
+
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accepts a numeric seed or any string (hashed with FNV-1a)
+export function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
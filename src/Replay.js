@@ -0,0 +1,129 @@
+/**
+ * Replay.js - Input Recording & Replay Playback
+ * Captures a run as its seed plus timestamped player inputs. Because the
+ * simulation is fixed-timestep and seeded, feeding the same inputs back on
+ * the same simulation steps reproduces the run exactly.
+ */
+
+import { downloadFile } from './Storage.js';
+
+const REPLAY_VERSION = 1;
+
+// ============================================
+// REPLAY RECORDER
+// ============================================
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+
+    /**
+     * @param {object} run - { seed, mode, width, height, stepMs, crsModel, valveType }
+     */
+    start(run) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: run.seed,
+            mode: run.mode,
+            width: run.width,
+            height: run.height,
+            stepMs: run.stepMs,
+            crsModel: run.crsModel,
+            valveType: run.valveType,
+            recordedAt: new Date().toISOString(),
+            totalSteps: 0,
+            finalScore: 0,
+            inputs: []
+        };
+    }
+
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    record(step, input) {
+        if (!this.replay) return;
+        this.replay.inputs.push({ step, t: Math.round(step * this.replay.stepMs), ...input });
+    }
+
+    finish(totalSteps, finalScore) {
+        if (!this.replay) return null;
+        const replay = this.replay;
+        replay.totalSteps = totalSteps;
+        replay.finalScore = finalScore;
+        this.replay = null;
+        return replay;
+    }
+
+    cancel() {
+        this.replay = null;
+    }
+}
+
+// ============================================
+// REPLAY PLAYER
+// Feeds recorded inputs back by simulation step
+// ============================================
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.cursor = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.finished = false;
+    }
+
+    // Rewind to the first input; the caller restarts the simulation
+    rewind() {
+        this.cursor = 0;
+        this.finished = false;
+    }
+
+    inputsForStep(step) {
+        const inputs = [];
+        const recorded = this.replay.inputs;
+        while (this.cursor < recorded.length && recorded[this.cursor].step <= step) {
+            inputs.push(recorded[this.cursor]);
+            this.cursor++;
+        }
+        return inputs;
+    }
+
+    /**
+     * Inputs of the given types made while the simulation was held at a
+     * step, e.g. upgrades bought on the level-complete screen
+     */
+    takeInputs(step, types) {
+        const inputs = [];
+        const recorded = this.replay.inputs;
+        while (this.cursor < recorded.length && recorded[this.cursor].step <= step && types.includes(recorded[this.cursor].type)) {
+            inputs.push(recorded[this.cursor]);
+            this.cursor++;
+        }
+        return inputs;
+    }
+
+    getDuration() {
+        return this.replay.totalSteps * this.replay.stepMs;
+    }
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+export function exportReplay(replay) {
+    downloadFile(`crs-replay-${replay.seed}.json`, JSON.stringify(replay), 'application/json');
+}
+
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    const required = ['seed', 'mode', 'width', 'height', 'stepMs', 'totalSteps', 'inputs'];
+    required.forEach(key => {
+        if (replay[key] === undefined) throw new Error(`Replay is missing "${key}"`);
+    });
+    if (!Array.isArray(replay.inputs)) throw new Error('Replay inputs must be an array');
+    return replay;
+}
@@ -0,0 +1,90 @@
+/**
+ * Scores.js - High Scores & Run History
+ * Persists a top-N leaderboard with player initials and a rolling log of
+ * recent runs, and works out which personal bests a finished run beat.
+ */
+
+import { loadData, saveData } from './Storage.js';
+
+export const LEADERBOARD_SIZE = 10;
+export const HISTORY_SIZE = 30;
+
+// Run summary fields where a higher value is a personal best
+export const BEST_FIELDS = ['score', 'survivalTime', 'maxCombo', 'accuracy', 'clotsDestroyed'];
+
+export function sanitizeInitials(value) {
+    return String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3) || '???';
+}
+
+// ============================================
+// SCORE BOOK
+// ============================================
+export class ScoreBook {
+    constructor() {
+        this.highScores = loadData('highScores', []);
+        this.history = loadData('runHistory', []);
+        this.lastInitials = loadData('initials', '');
+    }
+
+    // Best value of each BEST_FIELDS entry across the stored history
+    getPersonalBests() {
+        const bests = {};
+        BEST_FIELDS.forEach(field => {
+            bests[field] = this.history.reduce((best, run) => Math.max(best, run[field] ?? 0), 0);
+        });
+        return bests;
+    }
+
+    /**
+     * Adds a finished run to the history and returns the fields it set a
+     * new personal best in. The very first run has nothing to beat.
+     */
+    recordRun(summary) {
+        const newBests = [];
+        if (this.history.length > 0) {
+            const bests = this.getPersonalBests();
+            BEST_FIELDS.forEach(field => {
+                if (summary[field] > bests[field]) newBests.push(field);
+            });
+        }
+
+        this.history.unshift({ ...summary, date: new Date().toISOString() });
+        this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+        saveData('runHistory', this.history);
+        return newBests;
+    }
+
+    qualifiesForLeaderboard(score) {
+        if (score <= 0) return false;
+        if (this.highScores.length < LEADERBOARD_SIZE) return true;
+        return score > this.highScores[this.highScores.length - 1].score;
+    }
+
+    /**
+     * Inserts a run under the given initials. Returns its rank index, or
+     * -1 if it didn't make the table.
+     */
+    addHighScore(initials, summary) {
+        if (!this.qualifiesForLeaderboard(summary.score)) return -1;
+
+        const name = sanitizeInitials(initials);
+        const entry = {
+            initials: name,
+            score: summary.score,
+            mode: summary.mode,
+            survivalTime: summary.survivalTime,
+            date: new Date().toISOString()
+        };
+
+        // Ties go below existing entries - the earlier run keeps its place
+        let rank = this.highScores.findIndex(e => summary.score > e.score);
+        if (rank === -1) rank = this.highScores.length;
+        this.highScores.splice(rank, 0, entry);
+        this.highScores.length = Math.min(this.highScores.length, LEADERBOARD_SIZE);
+
+        this.lastInitials = name;
+        saveData('highScores', this.highScores);
+        saveData('initials', name);
+        return rank;
+    }
+}
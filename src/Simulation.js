@@ -0,0 +1,739 @@
+/**
+ * Simulation.js - Headless Gameplay Core
+ * Owns all gameplay state and advances it in fixed steps: entities,
+ * collisions, CRS, difficulty, power-ups and combos. It never touches the
+ * DOM or a canvas, so a full run can be stepped in Node for tests and batch
+ * balancing. Renderers subscribe to its events for effects and overlays.
+ *
+ *   const sim = new Simulation(new RandomService());
+ *   sim.start({ seed: 42, mode: GAME_MODES.ENDLESS, width: 405, height: 720, valveType: 'tavr' });
+ *   while (sim.isRunning()) sim.step([{ type: 'target', x: 200 }]);
+ */
+
+import { CRSCalculator, FlowField, circleCollision } from './Physics.js';
+import { Player, Pulse, Embolus, BossThrombus, PowerUp, Shockwave, createClot } from './Entities.js';
+import { CardiacCycle } from './Cardiac.js';
+import { ActivePowerUps } from './PowerUps.js';
+import { Weapon } from './Weapon.js';
+import { DEFAULT_VALVE_TYPE, getValveType } from './ValveTypes.js';
+import { createCRSModel } from './CRSModels.js';
+import { RunTimeline, TIMELINE_EVENTS } from './Timeline.js';
+import { SIM_STEP, STAGNATION, PROPAGATION, CARDIAC, DEFIBRILLATOR, CURRENCY, CLOT_TYPES, GAME_MODES, LEVELS, ENDLESS_CONFIG } from './Config.js';
+
+export const SIM_STATUS = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    LEVEL_COMPLETE: 'level_complete',
+    GAME_OVER: 'game_over',
+    VICTORY: 'victory'
+};
+
+const CHAIN_CUT_POINTS = 10; // Snapping a fibrin chain in two - the kill comes later
+
+// Why a run ended in GAME_OVER
+export const FAILURE_CAUSES = {
+    CRS: 'crs',
+    VALVE: 'valve'
+};
+
+export const SIM_EVENTS = {
+    DIFFICULTY_UP: 'difficultyUp',
+    ARENA_RESIZED: 'arenaResized',
+    CRITICAL: 'critical',
+    HEARTBEAT: 'heartbeat',
+    PULSE_FIRED: 'pulseFired',
+    SPECIAL_READY: 'specialReady',
+    SPECIAL_FIRED: 'specialFired',
+    CLOT_HIT: 'clotHit',
+    COMBO: 'combo',
+    CLOT_DESTROYED: 'clotDestroyed',
+    CHAIN_CUT: 'chainCut',
+    CLOT_ESCAPED: 'clotEscaped',
+    CLOTS_MERGED: 'clotsMerged',
+    CLOTS_DISSOLVED: 'clotsDissolved',
+    SHIELD_ABSORBED: 'shieldAbsorbed',
+    VALVE_DAMAGED: 'valveDamaged',
+    POWERUP_COLLECTED: 'powerUpCollected',
+    BOSS_SPAWNED: 'bossSpawned',
+    BOSS_HIT: 'bossHit',
+    BOSS_DEFEATED: 'bossDefeated',
+    LEVEL_COMPLETE: 'levelComplete',
+    GAME_OVER: 'gameOver',
+    VICTORY: 'victory'
+};
+
+export class Simulation {
+    /**
+     * @param {RandomService} random - Seedable PRNG shared by all gameplay systems
+     */
+    constructor(random) {
+        this.random = random;
+        this.listeners = {};
+        this.arena = { width: 0, height: 0 };
+        this.flowField = new FlowField(STAGNATION.flowFactor);
+        this.player = new Player(this.arena);
+        this.crs = new CRSCalculator();
+        this.timeline = new RunTimeline();
+        this.cardiac = new CardiacCycle();
+        this.activePowerUps = new ActivePowerUps(this);
+        this.weapon = new Weapon();
+        this.valveType = getValveType(DEFAULT_VALVE_TYPE);
+        this.status = SIM_STATUS.IDLE;
+        this.mode = GAME_MODES.CAMPAIGN;
+        this.resetRun();
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+    on(type, handler) {
+        (this.listeners[type] ||= []).push(handler);
+    }
+
+    emit(type, payload = {}) {
+        this.listeners[type]?.forEach(handler => handler(payload));
+    }
+
+    // ============================================
+    // RUN LIFECYCLE
+    // ============================================
+    /**
+     * @param {object} run - { seed, mode, width, height, crsModel, valveType }
+     */
+    start(run) {
+        this.random.reseed(run.seed);
+        this.mode = run.mode;
+        this.crs.setModel(createCRSModel(run.crsModel));
+        this.valveType = getValveType(run.valveType);
+        this.player.setValveType(this.valveType);
+        this.resize(run.width, run.height);
+        this.resetRun();
+        this.status = SIM_STATUS.RUNNING;
+    }
+
+    // Ends the run in GAME_OVER; cause is a FAILURE_CAUSES value
+    fail(cause) {
+        this.failure = cause;
+        this.status = SIM_STATUS.GAME_OVER;
+        this.emit(SIM_EVENTS.GAME_OVER, { cause });
+    }
+
+    resetRun() {
+        this.tick = 0;
+        this.time = 0;
+        this.level = 0;
+        this.score = 0;
+        this.pulses = [];
+        this.clots = [];
+        this.powerUps = [];
+        this.shockwaves = [];
+        this.specialCharge = 0;
+        this.boss = null;
+        this.failure = null;
+        this.crs.reset();
+        this.timeline.reset();
+        this.cardiac.reset();
+        this.spawnTimer = 0;
+        this.autoFireTimer = 0;
+        this.wasCritical = false;
+        this.player.reset();
+        this.resetDifficulty();
+        // Reset combos and power-ups
+        this.combo = 0;
+        this.comboTimer = 0;
+        this.maxCombo = 0;
+        this.activePowerUps.reset();
+        // Capabilities that power-up hooks switch on and off
+        this.modifiers = {
+            fireIntervalScale: 1,
+            multiShot: false,
+            piercing: false,
+            clotTimeScale: 1,
+            pulseSpeedScale: 1,
+            specialChargeScale: 1,
+            powerUpDurationScale: 1
+        };
+        // The valve's passive trait
+        this.valveType.apply(this);
+        // Weapon upgrades last the whole run, paid for in ATP
+        this.weapon.reset();
+        this.atp = 0;
+        // Per-run tallies for the end-of-run summary
+        this.stats = {
+            pulsesFired: 0,
+            pulseHits: 0,
+            clotsDestroyed: 0,
+            clotsEscaped: 0,
+            clotsMerged: 0,
+            valveHits: 0,
+            peakCRS: 0,
+            powerUpsCollected: 0
+        };
+    }
+
+    // Dynamic difficulty - increases every 5 seconds (faster!)
+    resetDifficulty() {
+        this.difficultyTimer = 0;
+        this.difficultyLevel = 0;
+        this.difficultyMultiplier = 1.0;
+    }
+
+    resize(width, height) {
+        this.arena.width = width;
+        this.arena.height = height;
+        this.flowField.resize(width, height);
+        this.player.y = height - 80;
+    }
+
+    nextLevel() {
+        this.level++;
+        if (this.level >= LEVELS.length) {
+            // Game complete!
+            this.status = SIM_STATUS.VICTORY;
+            this.emit(SIM_EVENTS.VICTORY);
+            return;
+        }
+        this.status = SIM_STATUS.RUNNING;
+        this.clots = [];
+        this.pulses = [];
+        this.boss = null;
+        this.spawnTimer = 0;
+        this.resetDifficulty();
+    }
+
+    /**
+     * Buys the next tier of a weapon stat with ATP. Only open between
+     * campaign phases. Returns true if the purchase went through.
+     */
+    purchaseUpgrade(stat) {
+        if (this.status !== SIM_STATUS.LEVEL_COMPLETE) return false;
+        const cost = this.weapon.getCost(stat);
+        if (cost === null || cost > this.atp) return false;
+        this.atp -= cost;
+        this.weapon.upgrade(stat);
+        return true;
+    }
+
+    isRunning() {
+        return this.status === SIM_STATUS.RUNNING;
+    }
+
+    isCampaign() {
+        return this.mode === GAME_MODES.CAMPAIGN;
+    }
+
+    getLevelConfig() {
+        return this.isCampaign() ? LEVELS[this.level] : ENDLESS_CONFIG;
+    }
+
+    // Whole seconds across every phase of the run; difficultyTimer restarts
+    // each phase and only drives the difficulty ramp
+    getSurvivalTime() {
+        return Math.floor(this.time / 1000);
+    }
+
+    isShielded() {
+        return this.activePowerUps.isActive('SHIELD');
+    }
+
+    recordSample(force = false) {
+        this.timeline.sample(this.time, {
+            crs: Math.min(100, this.crs.getCRSPercentage()),
+            clots: this.clots.length,
+            difficulty: this.difficultyMultiplier,
+            score: this.score
+        }, force);
+    }
+
+    // End-of-run numbers for the high-score table and run history
+    getRunSummary() {
+        const { pulsesFired, pulseHits } = this.stats;
+        return {
+            seed: this.random.seed,
+            mode: this.mode,
+            crsModel: this.crs.model.id,
+            valveType: this.valveType.id,
+            victory: this.status === SIM_STATUS.VICTORY,
+            failure: this.failure,
+            phase: this.isCampaign() ? Math.min(this.level, LEVELS.length - 1) + 1 : null,
+            score: this.score,
+            survivalTime: this.getSurvivalTime(),
+            accuracy: pulsesFired > 0 ? Math.round((pulseHits / pulsesFired) * 100) : 0,
+            pulsesFired,
+            pulseHits,
+            clotsDestroyed: this.stats.clotsDestroyed,
+            clotsEscaped: this.stats.clotsEscaped,
+            clotsMerged: this.stats.clotsMerged,
+            valveHits: this.stats.valveHits,
+            peakCRS: Math.round(this.stats.peakCRS),
+            maxCombo: this.maxCombo,
+            powerUpsCollected: this.stats.powerUpsCollected,
+            weapon: { ...this.weapon.tiers }
+        };
+    }
+
+    // ============================================
+    // INPUT
+    // ============================================
+    applyInput(input) {
+        switch (input.type) {
+            case 'target':
+                this.player.setTarget(input.x);
+                break;
+            case 'move':
+                this.player.setMoveAxis(input.axis);
+                break;
+            case 'fire':
+                this.fire();
+                break;
+            case 'special':
+                this.fireSpecial();
+                break;
+            case 'upgrade':
+                this.purchaseUpgrade(input.stat);
+                break;
+            case 'resize':
+                this.resize(input.width, input.height);
+                this.emit(SIM_EVENTS.ARENA_RESIZED, { width: input.width, height: input.height });
+                break;
+        }
+    }
+
+    // auto marks the steady auto-fire rather than a player's fire input
+    fire(auto = false) {
+        if (!this.isRunning()) return;
+        const y = this.player.y - this.player.height / 2;
+        // Pulses ride the ejection - stronger and faster in systole
+        const systole = this.cardiac.isSystole();
+        const power = systole ? CARDIAC.systolePulsePower : 1;
+        const speedScale = (systole ? CARDIAC.systolePulseSpeed : 1) * this.modifiers.pulseSpeedScale;
+        const { barrels, shotPower } = this.valveType;
+        // Limit max pulses on screen
+        if (this.pulses.length < 20) {
+            // Each of the valve's barrels fires the spread fan; multi-shot adds two more
+            const shots = this.weapon.get('spread') + (this.modifiers.multiShot ? 2 : 0);
+            barrels.forEach(barrel => {
+                for (let i = 0; i < shots; i++) {
+                    const offset = barrel + (i - (shots - 1) / 2) * 15;
+                    const pulse = new Pulse(this.player.x + offset, y, power * shotPower * this.weapon.get('damage'), speedScale);
+                    pulse.radius = this.weapon.get('size');
+                    pulse.shotPower = shotPower;
+                    pulse.pierce = this.modifiers.piercing ? Infinity : this.weapon.get('pierce');
+                    this.pulses.push(pulse);
+                }
+            });
+            this.stats.pulsesFired += shots * barrels.length;
+            this.emit(SIM_EVENTS.PULSE_FIRED, { auto });
+        }
+    }
+
+    isSpecialReady() {
+        return this.specialCharge >= DEFIBRILLATOR.maxCharge;
+    }
+
+    addSpecialCharge(amount) {
+        if (this.isSpecialReady()) return;
+        this.specialCharge = Math.min(DEFIBRILLATOR.maxCharge, this.specialCharge + amount * this.modifiers.specialChargeScale);
+        if (this.isSpecialReady()) this.emit(SIM_EVENTS.SPECIAL_READY);
+    }
+
+    // Defibrillator pulse - a shockwave from the valve hits every clot in reach
+    fireSpecial() {
+        if (!this.isRunning() || !this.isSpecialReady()) return;
+        const { x, y } = this.player;
+        const { radius, power } = DEFIBRILLATOR;
+        this.shockwaves.push(new Shockwave(x, y, radius));
+        this.emit(SIM_EVENTS.SPECIAL_FIRED, { x, y, radius });
+
+        let fragments = [];
+        this.clots = this.clots.filter(clot => {
+            if (Math.hypot(clot.x - x, clot.y - y) > radius + clot.radius) return true;
+            if (!clot.shock(power)) return true;
+            fragments = fragments.concat(this.breakClot(clot, 50));
+            return false;
+        }).concat(fragments);
+        // Kills from the shockwave don't feed the next charge
+        this.specialCharge = 0;
+    }
+
+    // ============================================
+    // FIXED STEP
+    // ============================================
+    /**
+     * Advances the run by one SIM_STEP after applying this step's inputs.
+     * Identical seeds and input sequences always produce identical runs.
+     */
+    step(inputs = []) {
+        if (!this.isRunning()) return;
+
+        const deltaTime = SIM_STEP;
+        inputs.forEach(input => this.applyInput(input));
+        this.tick++;
+        this.time += deltaTime;
+
+        // Cardiac cycle - each beat opens systole; the rate climbs with difficulty
+        const rateScale = 1 + (this.difficultyMultiplier - 1) * CARDIAC.difficultyRateScale;
+        if (this.cardiac.update(deltaTime, this.getLevelConfig(), this.random.gameplay, rateScale)) {
+            this.emit(SIM_EVENTS.HEARTBEAT, {
+                heartRate: this.cardiac.getHeartRate(),
+                irregular: !this.getLevelConfig().pulseCooldown
+            });
+        }
+
+        // Update difficulty every 5 seconds (2x faster!)
+        this.difficultyTimer += deltaTime;
+        const newDifficultyLevel = Math.floor(this.difficultyTimer / 5000); // Every 5 seconds now!
+        if (newDifficultyLevel > this.difficultyLevel) {
+            this.difficultyLevel = newDifficultyLevel;
+            // Faster multiplier increase: 1.0 -> 1.4 -> 1.8 -> 2.2 -> etc.
+            this.difficultyMultiplier = 1.0 + (this.difficultyLevel * 0.4);
+            // Cap at 4x difficulty
+            this.difficultyMultiplier = Math.min(this.difficultyMultiplier, 4.0);
+            this.emit(SIM_EVENTS.DIFFICULTY_UP, { level: this.difficultyLevel });
+        }
+
+        // Update player
+        this.player.update(deltaTime);
+
+        // Auto-fire while playing
+        this.autoFireTimer += deltaTime;
+        const fireRate = this.weapon.get('fireRate') * this.modifiers.fireIntervalScale; // Upgradeable, faster with rapid fire
+        if (this.autoFireTimer >= fireRate) {
+            this.fire(true);
+            this.autoFireTimer = 0;
+        }
+
+        // Update pulses
+        this.pulses = this.pulses.filter(pulse => pulse.update(deltaTime, this.arena.width));
+        this.shockwaves = this.shockwaves.filter(wave => wave.update(deltaTime));
+
+        // Spawn clots - phase spawn rate, faster with difficulty. Clots are only
+        // ejected in systole, so spawns due during diastole burst out on the next beat.
+        this.spawnTimer += deltaTime;
+        const adjustedSpawnRate = this.getLevelConfig().spawnRate / this.difficultyMultiplier;
+        let released = 0;
+        while (this.spawnTimer >= adjustedSpawnRate && !this.boss && this.cardiac.isSystole() && released < CARDIAC.maxSpawnBurst) {
+            this.spawnClot();
+            this.spawnTimer -= adjustedSpawnRate;
+            released++;
+            // Spawn extra clots at higher difficulty
+            if (this.difficultyLevel >= 3 && this.random.gameplay.chance(0.3)) {
+                this.spawnClot();
+            }
+            if (this.difficultyLevel >= 5 && this.random.gameplay.chance(0.25)) {
+                this.spawnClot();
+            }
+        }
+
+        // Update boss encounter
+        if (this.boss) this.updateBoss(deltaTime);
+        if (!this.isRunning()) return;
+
+        // Update clots - heparin slows their motion and growth
+        const clotDelta = deltaTime * this.modifiers.clotTimeScale;
+        this.flowField.setPulse(this.cardiac.getFlowFactor());
+        this.clots.forEach(clot => clot.update(clotDelta, this.arena.width, this.flowField));
+        this.mergeClots();
+
+        // Check collisions
+        this.checkCollisions();
+        this.checkValveCollisions();
+        if (!this.isRunning()) return;
+
+        // Remove clots that passed the screen - BIG CRS PENALTY
+        this.clots = this.clots.filter(clot => {
+            if (clot.y > this.arena.height + clot.radius) {
+                this.removeClot(clot);
+                if (this.isShielded()) {
+                    // Shield absorbs the escape and shatters
+                    this.absorbWithShield(clot);
+                    return false;
+                }
+                // Clot escaped - MAJOR CRS penalty, sized by the CRS model
+                const penalty = this.crs.applyEscape(clot);
+                this.stats.clotsEscaped++;
+                this.timeline.addEvent(this.time, TIMELINE_EVENTS.ESCAPE, { x: Math.round(clot.x), penalty: Math.round(penalty) });
+                this.emit(SIM_EVENTS.CLOT_ESCAPED, { x: clot.x, penalty });
+                return false;
+            }
+            return true;
+        });
+
+        // Update CRS - a living boss adds its own thrombogenic load.
+        // Residence accumulation is frozen while the shield is up.
+        if (!this.isShielded()) {
+            const crsSources = this.boss && !this.boss.defeated ? [...this.clots, this.boss] : this.clots;
+            this.crs.update(crsSources, clotDelta, { flowField: this.flowField, difficulty: this.difficultyMultiplier });
+        }
+        this.stats.peakCRS = Math.max(this.stats.peakCRS, Math.min(100, this.crs.getCRSPercentage()));
+        // Always capture the failing step so the chart ends at the failure
+        this.recordSample(this.crs.isFailed());
+
+        // Entering critical CRS
+        const critical = this.crs.isCritical();
+        if (critical !== this.wasCritical) {
+            this.wasCritical = critical;
+            this.emit(SIM_EVENTS.CRITICAL, { critical });
+        }
+
+        // Check for game over
+        if (this.crs.isFailed()) {
+            this.fail(FAILURE_CAUSES.CRS);
+            return;
+        }
+
+        // Campaign phases end at their target score; endless runs until CRS fails.
+        // Boss phases summon the thrombus instead and end when it is defeated.
+        if (this.isCampaign() && this.score >= LEVELS[this.level].targetScore) {
+            if (LEVELS[this.level].bossLevel) {
+                if (!this.boss) this.spawnBoss();
+            } else {
+                this.status = SIM_STATUS.LEVEL_COMPLETE;
+                this.atp += CURRENCY.perPhase;
+                this.emit(SIM_EVENTS.LEVEL_COMPLETE, { level: this.level });
+                return;
+            }
+        }
+
+        // Update power-ups
+        this.powerUps = this.powerUps.filter(pu => pu.update(deltaTime, this.flowField));
+
+        // Check power-up collection
+        this.powerUps = this.powerUps.filter(pu => {
+            const dx = pu.x - this.player.x;
+            const dy = pu.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < pu.radius + 30) {
+                // Collected!
+                this.activePowerUps.collect(pu.typeKey);
+                this.score += 100; // Bonus for collecting power-up
+                this.stats.powerUpsCollected++;
+                this.timeline.addEvent(this.time, TIMELINE_EVENTS.POWERUP, { kind: pu.typeKey });
+                this.emit(SIM_EVENTS.POWERUP_COLLECTED, { x: pu.x, y: pu.y, typeKey: pu.typeKey, type: pu.type });
+                return false;
+            }
+            return true;
+        });
+
+        // Update combo timer
+        if (this.combo > 0) {
+            this.comboTimer -= deltaTime;
+            if (this.comboTimer <= 0) {
+                this.combo = 0; // Combo expired
+            }
+        }
+
+        // Tick active power-ups and expire finished ones
+        this.activePowerUps.update(deltaTime);
+    }
+
+    // ============================================
+    // SPAWNING & BOSS
+    // ============================================
+    // Archetype drawn from the phase's spawn table
+    spawnClot() {
+        const levelConfig = this.getLevelConfig();
+        const type = levelConfig.spawnTable ? this.random.gameplay.weighted(levelConfig.spawnTable) : CLOT_TYPES.THROMBUS;
+        const x = this.random.gameplay.range(30, this.arena.width - 30);
+        const y = -80; // Start further up for big clots
+        this.clots.push(createClot(type, x, y, this.random, this.difficultyMultiplier, levelConfig));
+    }
+
+    spawnBoss() {
+        this.boss = new BossThrombus(this.arena, LEVELS[this.level], this.random);
+        this.emit(SIM_EVENTS.BOSS_SPAWNED);
+    }
+
+    updateBoss(deltaTime) {
+        const shed = this.boss.update(deltaTime);
+        shed.forEach(e => {
+            this.clots.push(new Embolus(e.x, e.y, this.random, this.difficultyMultiplier, this.getLevelConfig(), e.vx));
+        });
+
+        // Defeat sequence finished - the campaign is won
+        if (this.boss.isDeathComplete()) {
+            const { x, y } = this.boss;
+            this.boss = null;
+            this.status = SIM_STATUS.VICTORY;
+            this.emit(SIM_EVENTS.VICTORY, { x, y });
+        }
+    }
+
+    // ============================================
+    // COLLISIONS & POWER-UPS
+    // ============================================
+    // Touching clots fuse - the larger one absorbs the smaller
+    mergeClots() {
+        const absorbed = new Set();
+        this.clots.forEach((a, i) => {
+            for (let j = i + 1; j < this.clots.length && !absorbed.has(a) && a.canMerge(); j++) {
+                const b = this.clots[j];
+                if (absorbed.has(b) || !b.canMerge()) continue;
+                const overlap = a.radius + b.radius - Math.hypot(a.x - b.x, a.y - b.y);
+                if (overlap < Math.min(a.radius, b.radius) * PROPAGATION.mergeOverlap) continue;
+
+                const [larger, smaller] = a.radius >= b.radius ? [a, b] : [b, a];
+                larger.absorb(smaller);
+                this.removeClot(smaller);
+                absorbed.add(smaller);
+                this.stats.clotsMerged++;
+                this.emit(SIM_EVENTS.CLOTS_MERGED, { x: larger.x, y: larger.y, radius: larger.radius });
+            }
+        });
+        if (absorbed.size > 0) this.clots = this.clots.filter(clot => !absorbed.has(clot));
+    }
+
+    checkCollisions() {
+        const pulsesToRemove = new Set();
+        const clotsToRemove = new Set();
+        // Fragments of split clots join the field after the sweep
+        let fragments = [];
+
+        this.pulses.forEach((pulse, pi) => {
+            this.clots.forEach((clot, ci) => {
+                if (clotsToRemove.has(ci) || pulse.struck.has(clot)) return;
+                if (clot.hitTest(pulse.x, pulse.y, pulse.radius)) {
+                    // Piercing pulses carry on, but hit each clot only once
+                    if (pulse.pierce > 0) {
+                        pulse.pierce--;
+                        pulse.struck.add(clot);
+                    } else {
+                        pulsesToRemove.add(pi);
+                    }
+                    this.countHit(pulse);
+                    this.emit(SIM_EVENTS.CLOT_HIT, { x: pulse.x, y: pulse.y });
+
+                    // Combo system - increase combo on hit
+                    this.combo++;
+                    this.comboTimer = 1500; // 1.5 second combo window
+                    if (this.combo > this.maxCombo) this.maxCombo = this.combo;
+                    this.emit(SIM_EVENTS.COMBO, { combo: this.combo });
+
+                    // Score with combo multiplier!
+                    const comboBonus = Math.min(this.combo, 10); // Max 10x
+                    this.score += 5 * comboBonus;
+                    this.addSpecialCharge(DEFIBRILLATOR.chargePerComboHit * comboBonus);
+
+                    if (clot.hit((pulse.inStagnation ? STAGNATION.flushPower : 1) * pulse.power, pulse.x, pulse.shotPower)) {
+                        // Clot destroyed! Big bonus with combo
+                        clotsToRemove.add(ci);
+                        fragments.push(...this.breakClot(clot, 50 * comboBonus));
+                    }
+                }
+            });
+        });
+
+        // Pulses against the boss thrombus
+        if (this.boss && !this.boss.defeated) {
+            this.pulses.forEach((pulse, pi) => {
+                if (pulsesToRemove.has(pi)) return;
+                if (circleCollision(pulse.x, pulse.y, pulse.radius, this.boss.x, this.boss.y, this.boss.radius)) {
+                    pulsesToRemove.add(pi);
+                    this.countHit(pulse);
+                    this.score += 10;
+                    this.emit(SIM_EVENTS.BOSS_HIT, { x: pulse.x, y: pulse.y });
+
+                    if (this.boss.hit()) {
+                        // Boss destroyed - emboli dissolve with it
+                        this.score += 1000;
+                        const remaining = [...this.clots, ...fragments].filter((_, i) => !clotsToRemove.has(i));
+                        remaining.forEach(clot => this.removeClot(clot));
+                        const dissolved = remaining.map(clot => ({ x: clot.x, y: clot.y }));
+                        this.clots = [];
+                        fragments = [];
+                        clotsToRemove.clear();
+                        this.emit(SIM_EVENTS.BOSS_DEFEATED, { dissolved });
+                    }
+                }
+            });
+        }
+
+        // Remove destroyed objects
+        this.pulses = this.pulses.filter((_, i) => !pulsesToRemove.has(i));
+        this.clots = this.clots.filter((_, i) => !clotsToRemove.has(i)).concat(fragments);
+    }
+
+    // A clot striking the valve shatters on it and costs leaflet integrity
+    checkValveCollisions() {
+        const player = this.player;
+        if (player.isInvulnerable()) return;
+        const struck = this.clots.find(clot => clot.hitTest(player.x, player.y, player.getCollisionRadius()));
+        if (!struck) return;
+
+        this.clots = this.clots.filter(clot => clot !== struck);
+        this.removeClot(struck);
+        if (this.isShielded()) {
+            this.absorbWithShield(struck);
+            return;
+        }
+        this.stats.valveHits++;
+        const ruptured = player.takeDamage();
+        this.emit(SIM_EVENTS.VALVE_DAMAGED, { x: struck.x, y: struck.y, integrity: player.integrity });
+        if (ruptured) {
+            this.recordSample(true);
+            this.fail(FAILURE_CAUSES.VALVE);
+        }
+    }
+
+    // A finishing hit or shock - severed chains snap in two, anything else
+    // is destroyed. Returns the pieces that stay on the field.
+    breakClot(clot, points) {
+        return clot.isSevered() ? this.cutChain(clot) : this.destroyClot(clot, points);
+    }
+
+    // Cutting a joint isn't a kill - both halves live on
+    cutChain(clot) {
+        this.score += CHAIN_CUT_POINTS;
+        this.emit(SIM_EVENTS.CHAIN_CUT, { x: clot.x, y: clot.y });
+        return clot.split(this.random);
+    }
+
+    // Score and CRS relief for a destroyed clot, plus kill credit, charge and
+    // drops once the last piece of it is gone. Returns the fragments it splits into.
+    destroyClot(clot, points) {
+        this.score += points;
+        this.crs.onClotDestroyed(clot.getScale());
+        if (this.removeClot(clot)) {
+            this.stats.clotsDestroyed++;
+            this.atp += CURRENCY.perKill;
+            this.addSpecialCharge(DEFIBRILLATOR.chargePerKill);
+            if (clot.dropsPowerUp) {
+                this.powerUps.push(new PowerUp(clot.x, clot.y, this.random));
+            }
+        }
+        const fragments = clot.split(this.random);
+        this.emit(SIM_EVENTS.CLOT_DESTROYED, { x: clot.x, y: clot.y, type: clot.type });
+        return fragments;
+    }
+
+    // Every clot leaving the field comes through here, so a fibrin chain
+    // knows when its last piece is gone. True when this was that piece.
+    removeClot(clot) {
+        return clot.release();
+    }
+
+    // Accuracy counts each pulse that connects once, however many clots it pierces
+    countHit(pulse) {
+        if (pulse.connected) return;
+        pulse.connected = true;
+        this.stats.pulseHits++;
+    }
+
+    absorbWithShield(clot) {
+        this.activePowerUps.end('SHIELD');
+        this.player.breakShield();
+        this.emit(SIM_EVENTS.SHIELD_ABSORBED, { x: clot.x });
+    }
+
+    // Every clot on screen dissolves at once, e.g. from the anticoagulant bomb
+    dissolveClots(pointsPerClot) {
+        const dissolved = this.clots.map(clot => ({ x: clot.x, y: clot.y }));
+        this.clots.forEach(clot => this.crs.onClotDestroyed(clot.getScale()));
+        const kills = this.clots.filter(clot => this.removeClot(clot)).length;
+        this.stats.clotsDestroyed += kills;
+        this.atp += CURRENCY.perKill * kills;
+        this.score += pointsPerClot * this.clots.length;
+        this.clots = [];
+        this.emit(SIM_EVENTS.CLOTS_DISSOLVED, { dissolved });
+    }
+}
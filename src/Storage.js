@@ -0,0 +1,38 @@
+/**
+ * Storage.js - Local Persistence
+ * Thin wrapper around localStorage for settings and saved progress,
+ * plus file downloads for exported runs
+ */
+
+const STORAGE_PREFIX = 'crs-invaders:';
+
+export function loadData(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        // Private browsing or corrupted data - fall back to defaults
+        return fallback;
+    }
+}
+
+export function saveData(key, value) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+        // Storage full or unavailable - progress simply isn't persisted
+    }
+}
+
+// Saves generated content (replays, reports) through a temporary download link
+export function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
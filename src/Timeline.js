@@ -0,0 +1,97 @@
+/**
+ * Timeline.js - Run Telemetry & Hemodynamic Report Export
+ * Samples the simulation at a fixed interval (CRS, clot load, difficulty)
+ * and logs discrete events, so a run can be charted and exported as CSV
+ * or JSON for analysis.
+ */
+
+import { downloadFile } from './Storage.js';
+
+const TIMELINE_VERSION = 1;
+export const SAMPLE_INTERVAL = 250; // ms of simulated time between samples
+
+export const TIMELINE_EVENTS = {
+    ESCAPE: 'escape',
+    POWERUP: 'powerup'
+};
+
+// ============================================
+// RUN TIMELINE
+// ============================================
+export class RunTimeline {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.events = [];
+        this.nextSampleAt = 0;
+    }
+
+    /**
+     * Records a sample once per SAMPLE_INTERVAL of simulated time.
+     * force takes one regardless, e.g. on the final step of a run.
+     */
+    sample(time, values, force = false) {
+        if (!force && time < this.nextSampleAt) return;
+        this.samples.push({ t: Math.round(time), ...values });
+        this.nextSampleAt = time + SAMPLE_INTERVAL;
+    }
+
+    addEvent(time, type, data = {}) {
+        this.events.push({ t: Math.round(time), type, ...data });
+    }
+
+    getDuration() {
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1].t : 0;
+    }
+
+    toJSON(meta = {}) {
+        return {
+            version: TIMELINE_VERSION,
+            ...meta,
+            sampleIntervalMs: SAMPLE_INTERVAL,
+            samples: this.samples,
+            events: this.events
+        };
+    }
+
+    // One row per sample; event columns count what happened since the previous row
+    toCSV() {
+        const rows = ['time_s,crs_pct,clots,difficulty,score,escapes,powerups'];
+        let eventIndex = 0;
+        this.samples.forEach(s => {
+            let escapes = 0;
+            let powerups = 0;
+            while (eventIndex < this.events.length && this.events[eventIndex].t <= s.t) {
+                const type = this.events[eventIndex].type;
+                if (type === TIMELINE_EVENTS.ESCAPE) escapes++;
+                if (type === TIMELINE_EVENTS.POWERUP) powerups++;
+                eventIndex++;
+            }
+            rows.push([
+                (s.t / 1000).toFixed(2),
+                s.crs.toFixed(1),
+                s.clots,
+                s.difficulty.toFixed(2),
+                s.score,
+                escapes,
+                powerups
+            ].join(','));
+        });
+        return rows.join('\n');
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export function exportTimeline(timeline, format, meta = {}) {
+    const name = `crs-report-${meta.seed ?? 'run'}`;
+    if (format === 'csv') {
+        downloadFile(`${name}.csv`, timeline.toCSV(), 'text/csv');
+    } else {
+        downloadFile(`${name}.json`, JSON.stringify(timeline.toJSON(meta), null, 2), 'application/json');
+    }
+}
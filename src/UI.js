@@ -3,6 +3,41 @@
  * Handles all visual UI elements rendered on the canvas
  */
 
+import { frameDecay } from './Physics.js';
+import { ACTION_LABELS, formatKey, formatButton } from './Input.js';
+import { WEAPON_STATS } from './Weapon.js';
+import { WEAPON_UPGRADES, CURRENCY } from './Config.js';
+import { getAchievement } from './Achievements.js';
+
+const BEST_LABELS = {
+    score: 'Score',
+    survivalTime: 'Survival Time',
+    maxCombo: 'Max Combo',
+    accuracy: 'Accuracy',
+    clotsDestroyed: 'Clots Destroyed'
+};
+
+// Game-over headline and reason for each Simulation FAILURE_CAUSES value
+const FAILURE_TEXT = {
+    crs: { title: 'VALVE THROMBOSIS', reason: 'CRS Exceeded Critical Threshold' },
+    valve: { title: 'LEAFLET RUPTURE', reason: 'Clot strikes tore through the valve leaflet' }
+};
+
+// Requirement text for a locked valve, with progress toward it
+function describeUnlock(unlock, progression) {
+    const needs = [];
+    if (unlock.totalScore) needs.push(`${progression.totalScore}/${unlock.totalScore} total score`);
+    if (unlock.achievement) needs.push(`earn "${getAchievement(unlock.achievement).name}"`);
+    return `Locked: ${needs.join(', ')}`;
+}
+
+// Formats whole seconds as M:SS
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
 // ============================================
 // COLOR PALETTE
 // ============================================
@@ -18,6 +53,147 @@ const COLORS = {
     warning: '#fbbf24'
 };
 
+// ============================================
+// ECG MONITOR
+// Scrolling lead trace fed by the simulated heartbeats
+// ============================================
+const ECG_SWEEP_SPEED = 0.04; // px per ms - a 120px strip shows 3 seconds
+const ECG_SAMPLE_MS = 1 / ECG_SWEEP_SPEED;
+
+// Sinus beat at a resting rate, as a function of ms since the beat began.
+// Shapes are in trace units where the R peak is 1.
+function sinusComplex(t, hasPWave, stElevation) {
+    if (t < 80) return hasPWave ? 0.12 * Math.sin(Math.PI * t / 80) : 0;
+    if (t < 120) return 0;
+    if (t < 135) return -0.1 * ((t - 120) / 15); // Q
+    if (t < 150) return -0.1 + 1.1 * ((t - 135) / 15); // R upstroke
+    if (t < 165) return 1 - 1.25 * ((t - 150) / 15); // R downstroke into S
+    if (t < 185) return -0.25 + (0.25 + stElevation) * ((t - 165) / 20);
+    if (t < 260) return stElevation;
+    if (t < 420) return stElevation * (1 - (t - 260) / 160) + 0.25 * Math.sin(Math.PI * (t - 260) / 160); // T
+    return 0;
+}
+
+// Premature ventricular beat - wide, tall QRS with an inverted T wave
+function ectopicComplex(t) {
+    if (t < 140) return 1.1 * Math.sin(Math.PI * t / 140) - 0.3 * Math.sin(2 * Math.PI * t / 140);
+    if (t < 360) return -0.35 * Math.sin(Math.PI * (t - 140) / 220);
+    return 0;
+}
+
+export class ECGMonitor {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.time = 0;
+        this.sampleTimer = 0;
+        this.samples = [];
+        this.complexes = [];
+        this.heartRate = 0;
+        this.irregular = false;
+        this.ectopicFlash = 0;
+        this.danger = 0;
+    }
+
+    /**
+     * @param {number} heartRate - BPM of this beat
+     * @param {boolean} irregular - Fibrillating rhythm: no P waves, wavy baseline
+     */
+    beat(heartRate, irregular) {
+        this.heartRate = heartRate;
+        this.irregular = irregular;
+        // Faster rates compress the complex so beats don't overlap
+        const timeScale = Math.min(1, 75 / Math.max(heartRate, 1));
+        this.complexes.push({ start: this.time, type: 'sinus', timeScale });
+    }
+
+    ectopic() {
+        this.complexes.push({ start: this.time, type: 'ectopic', timeScale: 1 });
+        this.ectopicFlash = 1500;
+    }
+
+    // danger is 0..1 (CRS fraction); high values elevate the ST segment
+    update(deltaTime, danger) {
+        this.time += deltaTime;
+        this.danger = danger;
+        if (this.ectopicFlash > 0) this.ectopicFlash -= deltaTime;
+
+        this.sampleTimer += deltaTime;
+        while (this.sampleTimer >= ECG_SAMPLE_MS) {
+            this.sampleTimer -= ECG_SAMPLE_MS;
+            this.samples.push(this.valueAt(this.time - this.sampleTimer));
+        }
+        this.complexes = this.complexes.filter(c => (this.time - c.start) * c.timeScale < 600);
+    }
+
+    valueAt(time) {
+        const stElevation = Math.max(0, this.danger - 0.7) * 0.8;
+        let value = 0;
+        this.complexes.forEach(c => {
+            const t = (time - c.start) / c.timeScale;
+            if (t < 0) return;
+            value += c.type === 'ectopic' ? ectopicComplex(t) : sinusComplex(t, !this.irregular, stElevation);
+        });
+        // Fibrillatory baseline in AF
+        if (this.irregular) {
+            value += 0.06 * Math.sin(time * 0.045) + 0.04 * Math.sin(time * 0.071 + 1.3);
+        }
+        return value;
+    }
+
+    getRhythmLabel() {
+        if (this.ectopicFlash > 0) return 'PVC';
+        if (this.irregular) return 'AFIB';
+        return this.heartRate > 100 ? 'TACHY' : 'SINUS';
+    }
+
+    draw(ctx, x, y, width, height) {
+        // Keep only what fits on the strip
+        const visible = Math.floor(width - 4);
+        if (this.samples.length > visible) this.samples.splice(0, this.samples.length - visible);
+
+        const color = this.danger >= 0.7 ? COLORS.danger : this.danger >= 0.5 ? COLORS.warning : COLORS.success;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, 6);
+        ctx.fill();
+
+        // Trace - baseline sits low so the R wave has room
+        const baseline = y + height * 0.68;
+        const amplitude = height * 0.55;
+        ctx.beginPath();
+        this.samples.forEach((value, i) => {
+            const px = x + 2 + (visible - this.samples.length) + i;
+            const py = baseline - value * amplitude;
+            if (i === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        });
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 6;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        // Rate and rhythm readout
+        ctx.font = 'bold 9px Rajdhani, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = color;
+        ctx.fillText(`♥ ${this.heartRate || '--'}`, x + 5, y + 10);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = this.ectopicFlash > 0 ? COLORS.danger : COLORS.textMuted;
+        ctx.fillText(this.getRhythmLabel(), x + width - 5, y + 10);
+        ctx.restore();
+    }
+}
+
 // ============================================
 // HUD RENDERER
 // ============================================
@@ -28,22 +204,46 @@ export class HUD {
         this.padding = 15;
         this.barHeight = 12;
         this.pulseTime = 0;
+        this.stagnation = { left: 0, right: 0 };
+        this.ecg = new ECGMonitor();
+        this.ecgGap = 8;
+        this.crsTerms = [];
     }
 
-    update(deltaTime) {
+    // Model terms behind the rising CRS, largest first (CRSCalculator.getTerms)
+    setCRSTerms(terms) {
+        this.crsTerms = terms;
+    }
+
+    update(deltaTime, crsPercentage = 0) {
         this.pulseTime += deltaTime;
+        this.ecg.update(deltaTime, crsPercentage / 100);
+    }
+
+    // The ECG strip shares the top row with the CRS bar
+    getECGWidth() {
+        return Math.min(120, Math.floor(this.canvas.width * 0.3));
     }
 
-    draw(score, survivalTime, crsPercentage) {
+    draw(score, survivalTime, crsPercentage, phase = null, boss = null, valve = null, special = null) {
         this.drawCRSBar(crsPercentage);
+        this.drawECG();
         this.drawScore(score);
         this.drawTime(survivalTime);
+        if (boss) {
+            this.drawBossHealth(boss);
+        } else if (phase) {
+            this.drawPhase(phase, score);
+        }
         this.drawStagnationZones();
+        if (valve) this.drawValveIntegrity(valve.integrity, valve.max);
+        // The gauge counts down what's left to charge
+        if (special) this.drawPulseCooldown(special.max - special.charge, special.max);
     }
 
     drawCRSBar(percentage) {
         const ctx = this.ctx;
-        const width = this.canvas.width - this.padding * 2;
+        const width = this.canvas.width - this.padding * 2 - this.getECGWidth() - this.ecgGap;
         const x = this.padding;
         const y = this.padding;
 
@@ -100,6 +300,14 @@ export class HUD {
             }
         }
 
+        // Dominant model term, e.g. "STASIS 62%"
+        const dominant = this.crsTerms[0];
+        if (dominant && dominant.share > 0) {
+            ctx.font = 'bold 9px Rajdhani, sans-serif';
+            ctx.fillStyle = COLORS.textLight;
+            ctx.fillText(`${dominant.label} ${Math.round(dominant.share * 100)}%`, barX + 6, y + this.barHeight - 1);
+        }
+
         // Percentage text
         ctx.font = 'bold 11px Orbitron, sans-serif';
         ctx.fillStyle = percentage >= 70 ? COLORS.danger : COLORS.textLight;
@@ -108,6 +316,12 @@ export class HUD {
         ctx.textAlign = 'left';
     }
 
+    drawECG() {
+        const width = this.getECGWidth();
+        const x = this.canvas.width - this.padding - width;
+        this.ecg.draw(this.ctx, x, this.padding, width, this.barHeight + 14);
+    }
+
     drawScore(score) {
         const ctx = this.ctx;
         const x = this.padding;
@@ -132,31 +346,101 @@ export class HUD {
         ctx.fillStyle = COLORS.textMuted;
         ctx.fillText('TIME', x, y);
 
-        // Format as MM:SS
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        const timeStr = `${mins}:${secs.toString().padStart(2, '0')}`;
-
         ctx.font = 'bold 18px Orbitron, sans-serif';
         ctx.fillStyle = COLORS.primary;
-        ctx.fillText(timeStr, x, y + 20);
+        ctx.fillText(formatTime(seconds), x, y + 20);
         ctx.textAlign = 'left';
     }
 
+    drawPhase(phase, score) {
+        const ctx = this.ctx;
+        const x = this.canvas.width / 2;
+        const y = this.padding + this.barHeight + 25;
+        const barWidth = 90;
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 11px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.textMuted;
+        ctx.fillText(`PHASE ${phase.index + 1}/${phase.total} · ${phase.atp} ${CURRENCY.name}`, x, y);
+
+        // Progress toward the phase target score
+        const progress = Math.min(score / phase.targetScore, 1);
+        ctx.fillStyle = 'rgba(162, 39, 44, 0.3)';
+        ctx.beginPath();
+        ctx.roundRect(x - barWidth / 2, y + 6, barWidth, 5, 2);
+        ctx.fill();
+        ctx.fillStyle = progress >= 1 ? COLORS.success : COLORS.primaryLight;
+        ctx.beginPath();
+        ctx.roundRect(x - barWidth / 2, y + 6, barWidth * progress, 5, 2);
+        ctx.fill();
+
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.textMuted;
+        ctx.fillText(phase.name.toUpperCase(), x, y + 22);
+        ctx.textAlign = 'left';
+    }
+
+    drawBossHealth(boss) {
+        const ctx = this.ctx;
+        const x = this.canvas.width / 2;
+        const y = this.padding + this.barHeight + 25;
+        const barWidth = this.canvas.width - this.padding * 2;
+        const barY = y + 36;
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 11px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.danger;
+        ctx.fillText(`⚠ ${boss.name}`, x, y);
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.textMuted;
+        ctx.fillText(boss.phaseLabel, x, y + 14);
+
+        // Bar background
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.roundRect(this.padding, barY, barWidth, 10, 4);
+        ctx.fill();
+
+        // Health fill - flickers when nearly dissolved
+        const fillWidth = barWidth * boss.healthFraction;
+        if (fillWidth > 0) {
+            const gradient = ctx.createLinearGradient(this.padding, 0, this.padding + barWidth, 0);
+            gradient.addColorStop(0, COLORS.primaryDark);
+            gradient.addColorStop(1, COLORS.danger);
+            ctx.fillStyle = gradient;
+            ctx.globalAlpha = boss.healthFraction < 0.33 ? 0.7 + Math.sin(this.pulseTime * 0.02) * 0.3 : 1;
+            ctx.beginPath();
+            ctx.roundRect(this.padding, barY, fillWidth, 10, 4);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        // Attack phase thresholds
+        ctx.fillStyle = 'rgba(255, 245, 245, 0.5)';
+        [0.33, 0.66].forEach(t => ctx.fillRect(this.padding + barWidth * t - 1, barY, 2, 10));
+        ctx.textAlign = 'left';
+    }
+
+    // Defibrillator charge gauge in the bottom-right corner
     drawPulseCooldown(current, max) {
         const ctx = this.ctx;
         const size = 40;
-        const x = this.canvas.width / 2;
-        const y = this.canvas.height - 60;
+        const x = this.canvas.width - this.padding - size / 2 - 5;
+        const y = this.canvas.height - this.padding - size / 2 - 5;
 
-        // Background circle
+        // Background circle - glows when the special is ready
+        const progress = 1 - (current / max);
         ctx.beginPath();
         ctx.arc(x, y, size / 2 + 5, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        if (progress >= 1) {
+            ctx.shadowColor = COLORS.success;
+            ctx.shadowBlur = 10 + Math.sin(this.pulseTime * 0.01) * 6;
+        }
         ctx.fill();
+        ctx.shadowBlur = 0;
 
         // Cooldown arc
-        const progress = 1 - (current / max);
         ctx.beginPath();
         ctx.arc(x, y, size / 2, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
         ctx.strokeStyle = progress >= 1 ? COLORS.success : COLORS.primary;
@@ -174,14 +458,53 @@ export class HUD {
         ctx.textAlign = 'left';
     }
 
+    // Leaflet pips in the bottom-left corner, one per strike the valve can take
+    drawValveIntegrity(integrity, max) {
+        const ctx = this.ctx;
+        const x = this.padding;
+        const y = this.canvas.height - this.padding;
+        const low = integrity <= 1;
+
+        ctx.font = 'bold 10px Rajdhani, sans-serif';
+        ctx.fillStyle = low ? COLORS.danger : COLORS.textMuted;
+        ctx.fillText('VALVE', x, y - 20);
+
+        for (let i = 0; i < max; i++) {
+            const cx = x + 7 + i * 18;
+            const cy = y - 7;
+            ctx.beginPath();
+            ctx.ellipse(cx, cy, 6, 8, 0, 0, Math.PI * 2);
+            if (i < integrity) {
+                ctx.globalAlpha = low ? 0.6 + Math.sin(this.pulseTime * 0.015) * 0.4 : 1;
+                ctx.fillStyle = low ? COLORS.danger : COLORS.primaryLight;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            } else {
+                ctx.strokeStyle = 'rgba(201, 79, 82, 0.5)';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+        }
+    }
+
+    // Number of clots currently stagnating on each side
+    setStagnationActivity(left, right) {
+        this.stagnation.left = left;
+        this.stagnation.right = right;
+    }
+
     drawStagnationZones() {
         const ctx = this.ctx;
         const zoneWidth = this.canvas.width * 0.15;
-        const alpha = 0.1 + Math.sin(this.pulseTime * 0.003) * 0.05;
+        const baseAlpha = 0.1 + Math.sin(this.pulseTime * 0.003) * 0.05;
+        // Zones flare up while clots are building residence inside them
+        const activeAlpha = 0.3 + Math.sin(this.pulseTime * 0.012) * 0.1;
+        const leftAlpha = this.stagnation.left > 0 ? activeAlpha : baseAlpha;
+        const rightAlpha = this.stagnation.right > 0 ? activeAlpha : baseAlpha;
 
         // Left zone
         const leftGradient = ctx.createLinearGradient(0, 0, zoneWidth, 0);
-        leftGradient.addColorStop(0, `rgba(162, 39, 44, ${alpha})`);
+        leftGradient.addColorStop(0, `rgba(162, 39, 44, ${leftAlpha})`);
         leftGradient.addColorStop(1, 'transparent');
         ctx.fillStyle = leftGradient;
         ctx.fillRect(0, 0, zoneWidth, this.canvas.height);
@@ -189,7 +512,7 @@ export class HUD {
         // Right zone
         const rightGradient = ctx.createLinearGradient(this.canvas.width - zoneWidth, 0, this.canvas.width, 0);
         rightGradient.addColorStop(0, 'transparent');
-        rightGradient.addColorStop(1, `rgba(162, 39, 44, ${alpha})`);
+        rightGradient.addColorStop(1, `rgba(162, 39, 44, ${rightAlpha})`);
         ctx.fillStyle = rightGradient;
         ctx.fillRect(this.canvas.width - zoneWidth, 0, zoneWidth, this.canvas.height);
     }
@@ -200,6 +523,7 @@ export class HUD {
 // ============================================
 export class ScreenShake {
     constructor() {
+        this.enabled = true;
         this.intensity = 0;
         this.decay = 0.9;
         this.offsetX = 0;
@@ -207,6 +531,7 @@ export class ScreenShake {
     }
 
     trigger(intensity = 10) {
+        if (!this.enabled) return;
         this.intensity = intensity;
         // Also trigger CSS shake
         const container = document.getElementById('game-container');
@@ -216,11 +541,11 @@ export class ScreenShake {
         }
     }
 
-    update() {
+    update(deltaTime) {
         if (this.intensity > 0.5) {
             this.offsetX = (Math.random() - 0.5) * this.intensity * 2;
             this.offsetY = (Math.random() - 0.5) * this.intensity * 2;
-            this.intensity *= this.decay;
+            this.intensity *= frameDecay(this.decay, deltaTime);
         } else {
             this.offsetX = 0;
             this.offsetY = 0;
@@ -279,6 +604,188 @@ export class LevelTransition {
     }
 }
 
+// ============================================
+// ACHIEVEMENT TOASTS
+// Unlock banners that slide in over the canvas, one at a time
+// ============================================
+const TOAST_DURATION = 3500;
+const TOAST_SLIDE = 300;
+
+export class AchievementToasts {
+    constructor() {
+        this.queue = [];
+        this.current = null;
+        this.timer = 0;
+    }
+
+    push(achievement) {
+        this.queue.push(achievement);
+    }
+
+    update(deltaTime) {
+        if (this.current) {
+            this.timer -= deltaTime;
+            if (this.timer <= 0) this.current = null;
+        }
+        if (!this.current && this.queue.length > 0) {
+            this.current = this.queue.shift();
+            this.timer = TOAST_DURATION;
+        }
+    }
+
+    draw(ctx, width) {
+        if (!this.current) return;
+        const boxWidth = Math.min(280, width - 40);
+        const boxHeight = 48;
+        // Slides down from above the canvas and back up at the end
+        const slide = Math.min(1, (TOAST_DURATION - this.timer) / TOAST_SLIDE, this.timer / TOAST_SLIDE);
+        const x = (width - boxWidth) / 2;
+        const y = -boxHeight + slide * (boxHeight + 60);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(13, 5, 5, 0.9)';
+        ctx.strokeStyle = COLORS.success;
+        ctx.lineWidth = 1.5;
+        ctx.shadowColor = COLORS.success;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        ctx.roundRect(x, y, boxWidth, boxHeight, 8);
+        ctx.fill();
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        ctx.textAlign = 'center';
+        ctx.font = '22px sans-serif';
+        ctx.fillText(this.current.icon, x + 26, y + 32);
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 10px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.success;
+        ctx.fillText('ACHIEVEMENT UNLOCKED', x + 50, y + 19);
+        ctx.font = 'bold 15px Rajdhani, sans-serif';
+        ctx.fillStyle = COLORS.textLight;
+        ctx.fillText(this.current.name.toUpperCase(), x + 50, y + 36);
+        ctx.restore();
+    }
+}
+
+// ============================================
+// TIMELINE CHART
+// Post-run plot of CRS, clot load and difficulty with event markers
+// ============================================
+export class TimelineChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { left: 26, right: 26, top: 20, bottom: 18 };
+    }
+
+    draw(timeline) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = this.padding;
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const samples = timeline.samples;
+        const duration = Math.max(timeline.getDuration(), 1);
+
+        const toX = (t) => pad.left + (t / duration) * plotW;
+        const toY = (fraction) => pad.top + plotH * (1 - Math.max(0, Math.min(1, fraction)));
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.roundRect(0, 0, width, height, 8);
+        ctx.fill();
+
+        // CRS gridlines and the critical threshold
+        ctx.lineWidth = 1;
+        ctx.font = '9px Rajdhani, sans-serif';
+        ctx.textAlign = 'right';
+        [0, 50, 100].forEach(pct => {
+            ctx.strokeStyle = 'rgba(201, 79, 82, 0.15)';
+            ctx.beginPath();
+            ctx.moveTo(pad.left, toY(pct / 100));
+            ctx.lineTo(pad.left + plotW, toY(pct / 100));
+            ctx.stroke();
+            ctx.fillStyle = COLORS.textMuted;
+            ctx.fillText(`${pct}`, pad.left - 4, toY(pct / 100) + 3);
+        });
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'rgba(255, 51, 51, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(pad.left, toY(0.7));
+        ctx.lineTo(pad.left + plotW, toY(0.7));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (samples.length > 1) {
+            const maxClots = Math.max(5, ...samples.map(s => s.clots));
+            const maxDifficulty = Math.max(2, ...samples.map(s => s.difficulty));
+
+            // Clot count and difficulty share the right-hand scale as fractions of their peak
+            this.drawSeries(samples, toX, s => toY(s.clots / maxClots), COLORS.primaryLight, 1);
+            ctx.setLineDash([3, 3]);
+            this.drawSeries(samples, toX, s => toY((s.difficulty - 1) / (maxDifficulty - 1)), COLORS.warning, 1);
+            ctx.setLineDash([]);
+            this.drawSeries(samples, toX, s => toY(s.crs / 100), COLORS.primary, 2);
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = COLORS.primaryLight;
+            ctx.fillText(`${maxClots}`, pad.left + plotW + 4, toY(1) + 3);
+        }
+
+        // Escapes rise from the baseline, power-ups sit along the top
+        timeline.events.forEach(event => {
+            const x = toX(event.t);
+            if (event.type === 'escape') {
+                ctx.strokeStyle = COLORS.danger;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x, pad.top + plotH);
+                ctx.lineTo(x, pad.top + plotH - 10);
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = COLORS.success;
+                ctx.beginPath();
+                ctx.arc(x, pad.top - 4, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        // Time axis
+        ctx.fillStyle = COLORS.textMuted;
+        ctx.textAlign = 'left';
+        ctx.fillText('0:00', pad.left, height - 5);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatTime(Math.round(duration / 1000)), pad.left + plotW, height - 5);
+
+        // Legend
+        ctx.textAlign = 'left';
+        const legend = [['CRS %', COLORS.primary], ['Clots', COLORS.primaryLight], ['Difficulty', COLORS.warning]];
+        let legendX = pad.left;
+        legend.forEach(([label, color]) => {
+            ctx.fillStyle = color;
+            ctx.fillText(label, legendX, 10);
+            legendX += ctx.measureText(label).width + 12;
+        });
+    }
+
+    drawSeries(samples, toX, toY, color, lineWidth) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(s.t), toY(s));
+            } else {
+                ctx.lineTo(toX(s.t), toY(s));
+            }
+        });
+        ctx.stroke();
+    }
+}
+
 // ============================================
 // OVERLAY CONTROLLER
 // ============================================
@@ -288,6 +795,15 @@ export class OverlayController {
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.levelCompleteScreen = document.getElementById('level-complete-screen');
         this.scienceModal = document.getElementById('science-modal');
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.settingsScreen = document.getElementById('settings-screen');
+        this.achievementsScreen = document.getElementById('achievements-screen');
+        this.pauseButton = document.getElementById('pause-btn');
+        this.replayControls = document.getElementById('replay-controls');
+        this.replayScrubber = document.getElementById('replay-scrubber');
+        this.replayScrubbing = false;
+        this.replayScrubber?.addEventListener('pointerdown', () => { this.replayScrubbing = true; });
+        this.replayScrubber?.addEventListener('change', () => { this.replayScrubbing = false; });
     }
 
     hideAll() {
@@ -295,6 +811,237 @@ export class OverlayController {
         this.gameOverScreen?.classList.remove('active');
         this.levelCompleteScreen?.classList.remove('active');
         this.scienceModal?.classList.remove('active');
+        this.pauseScreen?.classList.remove('active');
+        this.settingsScreen?.classList.remove('active');
+        this.achievementsScreen?.classList.remove('active');
+    }
+
+    showReplayControls(visible, totalSteps = 0) {
+        this.replayControls?.classList.toggle('visible', visible);
+        if (this.replayScrubber) {
+            this.replayScrubber.max = totalSteps;
+            this.replayScrubber.value = 0;
+        }
+    }
+
+    /**
+     * Refreshes the playback bar. The scrubber is left alone while the
+     * user is dragging it so their chosen position isn't overwritten.
+     */
+    updateReplayControls(step, totalSteps, stepMs, paused, speed) {
+        if (this.replayScrubber && !this.replayScrubbing) {
+            this.replayScrubber.value = step;
+        }
+        const shownStep = this.replayScrubbing ? Number(this.replayScrubber.value) : step;
+        const timeEl = document.getElementById('replay-time');
+        if (timeEl) {
+            const current = Math.floor(shownStep * stepMs / 1000);
+            const total = Math.floor(totalSteps * stepMs / 1000);
+            timeEl.textContent = `${formatTime(current)} / ${formatTime(total)}`;
+        }
+        const playBtn = document.getElementById('replay-play-btn');
+        if (playBtn) playBtn.textContent = paused ? '▶' : '❚❚';
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.classList.toggle('selected', Number(btn.dataset.speed) === speed);
+        });
+    }
+
+    showReplayError(message) {
+        const errorEl = document.getElementById('replay-error');
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    setPauseButtonVisible(visible) {
+        this.pauseButton?.classList.toggle('visible', visible);
+    }
+
+    showPause() {
+        this.hideAll();
+        this.pauseScreen?.classList.add('active');
+    }
+
+    showSettings() {
+        this.hideAll();
+        this.settingsScreen?.classList.add('active');
+    }
+
+    // Gallery of every achievement - unlock dates, or progress toward the target
+    showAchievements(achievements) {
+        this.hideAll();
+        const count = document.getElementById('achievement-count');
+        if (count) {
+            const unlocked = achievements.filter(a => a.unlockedAt).length;
+            count.textContent = `${unlocked}/${achievements.length} UNLOCKED`;
+        }
+
+        const list = document.getElementById('achievement-list');
+        if (list) {
+            list.innerHTML = '';
+            achievements.forEach(achievement => {
+                const row = document.createElement('div');
+                row.className = 'setting-row achievement-row';
+                row.classList.toggle('unlocked', achievement.unlockedAt !== null);
+
+                const icon = document.createElement('span');
+                icon.className = 'achievement-icon';
+                icon.textContent = achievement.icon;
+                const text = document.createElement('div');
+                text.className = 'achievement-text';
+                const name = document.createElement('strong');
+                name.textContent = achievement.name;
+                const description = document.createElement('span');
+                description.textContent = achievement.description;
+                text.append(name, description);
+
+                const status = document.createElement('span');
+                status.className = 'achievement-status';
+                if (achievement.unlockedAt) {
+                    status.textContent = new Date(achievement.unlockedAt).toLocaleDateString();
+                } else if (achievement.target > 1) {
+                    const bar = document.createElement('progress');
+                    bar.max = achievement.target;
+                    bar.value = achievement.progress;
+                    status.append(bar, `${achievement.progress}/${achievement.target}`);
+                } else {
+                    status.textContent = 'LOCKED';
+                }
+
+                row.append(icon, text, status);
+                list.appendChild(row);
+            });
+        }
+        this.achievementsScreen?.classList.add('active');
+    }
+
+    /**
+     * Syncs every [data-setting] input with the settings object and
+     * reports edits back through onChange(key, value). Selects keep
+     * string values; other inputs are numeric.
+     */
+    bindSettings(settings, onChange) {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(settings[key]);
+            } else {
+                input.value = settings[key];
+            }
+            input.addEventListener('change', () => {
+                let value = Number(input.value);
+                if (input.type === 'checkbox') value = input.checked;
+                if (input.tagName === 'SELECT') value = input.value;
+                onChange(key, value);
+            });
+        });
+    }
+
+    /**
+     * Rebuilds the controls list - two key slots and a gamepad button per
+     * action. Clicking a slot marks it as listening and calls onRebind.
+     */
+    renderBindings(bindings, onRebind) {
+        const list = document.getElementById('bindings-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        Object.entries(bindings).forEach(([action, binding]) => {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            const label = document.createElement('span');
+            label.textContent = ACTION_LABELS[action] ?? action;
+            const slots = document.createElement('div');
+            slots.className = 'binding-slots';
+
+            const options = binding.keys.map((code, i) => [i, formatKey(code)]);
+            options.push(['button', formatButton(binding.button)]);
+            options.forEach(([slot, text]) => {
+                const btn = document.createElement('button');
+                btn.className = 'bind-btn';
+                btn.textContent = text;
+                btn.addEventListener('click', () => {
+                    list.querySelectorAll('.bind-btn.listening').forEach(b => b.classList.remove('listening'));
+                    btn.classList.add('listening');
+                    btn.textContent = '...';
+                    onRebind(action, slot);
+                });
+                slots.appendChild(btn);
+            });
+
+            row.append(label, slots);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Lists each weapon stat with its tier pips and the cost of the next
+     * tier. onBuy(stat) is called when a buy button is pressed.
+     */
+    renderUpgradeShop(weapon, atp, onBuy) {
+        const balance = document.getElementById('upgrade-balance');
+        if (balance) balance.textContent = `${atp} ${CURRENCY.name}`;
+        const list = document.getElementById('upgrade-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        WEAPON_STATS.forEach(stat => {
+            const upgrade = WEAPON_UPGRADES[stat];
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            const label = document.createElement('span');
+            label.textContent = upgrade.name;
+
+            const pips = document.createElement('span');
+            pips.className = 'upgrade-pips';
+            upgrade.values.forEach((value, tier) => {
+                const pip = document.createElement('i');
+                pip.classList.toggle('filled', tier <= weapon.tiers[stat]);
+                pips.appendChild(pip);
+            });
+
+            const btn = document.createElement('button');
+            btn.className = 'bind-btn';
+            const cost = weapon.getCost(stat);
+            if (cost === null) {
+                btn.textContent = 'MAX';
+                btn.disabled = true;
+            } else {
+                btn.textContent = `${upgrade.values[weapon.tiers[stat]]}${upgrade.unit} → ${weapon.getNext(stat)}${upgrade.unit} · ${cost}`;
+                btn.disabled = cost > atp;
+                btn.addEventListener('click', () => onBuy(stat));
+            }
+
+            row.append(label, pips, btn);
+            list.appendChild(row);
+        });
+    }
+
+    // Start-screen valve picker - locked valves show what unlocks them
+    renderValveSelect(types, progression, onSelect) {
+        const list = document.getElementById('valve-select');
+        if (!list) return;
+        list.innerHTML = '';
+
+        types.forEach(type => {
+            const unlocked = progression.isUnlocked(type.id);
+            const btn = document.createElement('button');
+            btn.className = 'valve-btn';
+            btn.classList.toggle('selected', type.id === progression.selected);
+            btn.disabled = !unlocked;
+
+            const icon = document.createElement('img');
+            icon.src = type.icon;
+            icon.alt = '';
+            const name = document.createElement('span');
+            name.className = 'valve-name';
+            name.textContent = type.name;
+            const detail = document.createElement('span');
+            detail.className = 'valve-trait';
+            detail.textContent = unlocked ? type.trait : describeUnlock(type.unlock, progression);
+
+            btn.append(icon, name, detail);
+            btn.addEventListener('click', () => onSelect(type.id));
+            list.appendChild(btn);
+        });
     }
 
     showStart() {
@@ -302,16 +1049,25 @@ export class OverlayController {
         this.startScreen?.classList.add('active');
     }
 
-    showGameOver(score, survivalTime) {
+    setSelectedMode(mode) {
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.mode === mode);
+        });
+    }
+
+    showGameOver(score, survivalTime, seed, cause = 'crs') {
         this.hideAll();
+        const text = FAILURE_TEXT[cause] ?? FAILURE_TEXT.crs;
+        const titleEl = document.getElementById('game-over-title');
+        const reasonEl = document.getElementById('game-over-reason');
+        if (titleEl) titleEl.textContent = text.title;
+        if (reasonEl) reasonEl.textContent = text.reason;
         const scoreEl = document.getElementById('final-score-value');
         const timeEl = document.getElementById('final-level-value');
+        const seedEl = document.getElementById('run-seed-value');
         if (scoreEl) scoreEl.textContent = score;
-        if (timeEl) {
-            const mins = Math.floor(survivalTime / 60);
-            const secs = survivalTime % 60;
-            timeEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
-        }
+        if (seedEl) seedEl.textContent = seed;
+        if (timeEl) timeEl.textContent = formatTime(survivalTime);
         this.gameOverScreen?.classList.add('active');
     }
 
@@ -322,8 +1078,118 @@ export class OverlayController {
         this.levelCompleteScreen?.classList.add('active');
     }
 
-    showScienceModal() {
+    showScienceModal(score) {
         this.hideAll();
+        const scoreEl = document.getElementById('modal-score-value');
+        if (scoreEl) scoreEl.textContent = score;
         this.scienceModal?.classList.add('active');
     }
+
+    // The end screen a run finished on - both carry the same summary markup
+    getSummaryRoot(summary) {
+        return summary.victory ? this.scienceModal : this.gameOverScreen;
+    }
+
+    /**
+     * Fills the end-of-run stats, personal-best callouts and leaderboard.
+     * The initials form only appears when the score makes the table.
+     */
+    showRunSummary(summary, newBests, highScores, canSubmit, initials) {
+        const root = this.getSummaryRoot(summary);
+        if (!root) return;
+
+        const bestEl = root.querySelector('.new-best');
+        if (bestEl) {
+            bestEl.textContent = newBests.length > 0
+                ? `NEW PERSONAL BEST: ${newBests.map(f => BEST_LABELS[f]).join(', ').toUpperCase()}`
+                : '';
+        }
+
+        const stats = [
+            ['accuracy', 'Accuracy', `${summary.accuracy}%`],
+            ['clotsDestroyed', 'Destroyed', summary.clotsDestroyed],
+            ['clotsEscaped', 'Escaped', summary.clotsEscaped],
+            ['peakCRS', 'Peak CRS', `${summary.peakCRS}%`],
+            ['maxCombo', 'Max Combo', `${summary.maxCombo}x`],
+            ['powerUpsCollected', 'Power-ups', summary.powerUpsCollected]
+        ];
+        const statsEl = root.querySelector('.run-stats');
+        if (statsEl) {
+            statsEl.innerHTML = '';
+            stats.forEach(([field, label, value]) => {
+                const stat = document.createElement('div');
+                stat.className = 'stat';
+                stat.classList.toggle('best', newBests.includes(field));
+                const labelEl = document.createElement('span');
+                labelEl.className = 'stat-label';
+                labelEl.textContent = label;
+                const valueEl = document.createElement('span');
+                valueEl.className = 'stat-value';
+                valueEl.textContent = value;
+                stat.append(labelEl, valueEl);
+                statsEl.appendChild(stat);
+            });
+        }
+
+        const form = root.querySelector('.initials-form');
+        form?.classList.toggle('visible', canSubmit);
+        const input = root.querySelector('.initials-input');
+        if (input) input.value = initials;
+
+        this.renderLeaderboard(root, highScores);
+    }
+
+    showUnlocks(summary, types) {
+        const el = this.getSummaryRoot(summary)?.querySelector('.new-unlock');
+        if (el) {
+            el.textContent = types.length > 0
+                ? `VALVE UNLOCKED: ${types.map(type => type.name).join(', ').toUpperCase()}`
+                : '';
+        }
+    }
+
+    drawTimeline(summary, timeline) {
+        const canvas = this.getSummaryRoot(summary)?.querySelector('.timeline-chart');
+        if (canvas) new TimelineChart(canvas).draw(timeline);
+    }
+
+    bindTimelineExport(onExport) {
+        document.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', () => onExport(btn.dataset.format));
+        });
+    }
+
+    renderLeaderboard(root, highScores, highlightRank = -1) {
+        const list = root.querySelector('.leaderboard');
+        if (!list) return;
+        list.innerHTML = '';
+        highScores.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.classList.toggle('highlight', i === highlightRank);
+            const name = document.createElement('span');
+            name.className = 'lb-name';
+            name.textContent = `${i + 1}. ${entry.initials}`;
+            const score = document.createElement('span');
+            score.textContent = entry.score;
+            item.append(name, score);
+            list.appendChild(item);
+        });
+    }
+
+    // Shows the table with the just-saved entry highlighted and retires the form
+    showSavedHighScore(summary, highScores, rank) {
+        const root = this.getSummaryRoot(summary);
+        if (!root) return;
+        root.querySelector('.initials-form')?.classList.remove('visible');
+        this.renderLeaderboard(root, highScores, rank);
+    }
+
+    bindScoreEntry(onSubmit) {
+        document.querySelectorAll('.initials-form').forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                onSubmit(form.querySelector('.initials-input')?.value ?? '');
+            });
+        });
+    }
 }
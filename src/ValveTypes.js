@@ -0,0 +1,60 @@
+/**
+ * ValveTypes.js - Valve Design Registry
+ * Each selectable valve is its VALVE_TYPES stats plus an apply hook that
+ * sets up its passive trait at the start of a run. Which valves a player
+ * may pick is tracked by Progression.js.
+ */
+
+import { VALVE_TYPES } from './Config.js';
+
+const registry = {};
+
+export const DEFAULT_VALVE_TYPE = 'bioprosthetic';
+
+/**
+ * @param {string} id - VALVE_TYPES key, or a new id with its own stats
+ * @param {object} definition - Overrides and hooks:
+ *   apply(sim) - run start, after the simulation has been reset
+ */
+export function registerValveType(id, definition) {
+    registry[id] = {
+        barrels: [0],
+        shotPower: 1,
+        unlock: null,
+        apply() {},
+        ...VALVE_TYPES[id],
+        ...definition,
+        id
+    };
+}
+
+// Unknown ids (e.g. from an old replay) fall back to the starter valve
+export function getValveType(id) {
+    return registry[id] ?? registry[DEFAULT_VALVE_TYPE];
+}
+
+export function getValveTypes() {
+    return Object.values(registry);
+}
+
+// ============================================
+// BUILT-IN VALVES
+// ============================================
+registerValveType('bioprosthetic', {
+    apply: sim => { sim.modifiers.powerUpDurationScale = VALVE_TYPES.bioprosthetic.powerUpDurationScale; }
+});
+
+registerValveType('bileaflet', {
+    apply: sim => {
+        sim.player.maxIntegrity += VALVE_TYPES.bileaflet.integrityBonus;
+        sim.player.integrity = sim.player.maxIntegrity;
+    }
+});
+
+registerValveType('tiltingDisc', {
+    apply: sim => { sim.modifiers.pulseSpeedScale = VALVE_TYPES.tiltingDisc.pulseSpeedScale; }
+});
+
+registerValveType('tavr', {
+    apply: sim => { sim.modifiers.specialChargeScale = VALVE_TYPES.tavr.specialChargeScale; }
+});
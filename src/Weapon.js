@@ -0,0 +1,45 @@
+/**
+ * Weapon.js - Upgradeable Pulse Weapon
+ * Tracks the tier of each WEAPON_UPGRADES stat for the current run. Tiers
+ * carry across campaign phases and reset with the run.
+ */
+
+import { WEAPON_UPGRADES } from './Config.js';
+
+export const WEAPON_STATS = Object.keys(WEAPON_UPGRADES);
+
+// ============================================
+// WEAPON
+// ============================================
+export class Weapon {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.tiers = {};
+        WEAPON_STATS.forEach(stat => { this.tiers[stat] = 0; });
+    }
+
+    // Current value of a stat, e.g. get('fireRate') -> ms between auto-fire pulses
+    get(stat) {
+        return WEAPON_UPGRADES[stat].values[this.tiers[stat]];
+    }
+
+    getNext(stat) {
+        return WEAPON_UPGRADES[stat].values[this.tiers[stat] + 1] ?? null;
+    }
+
+    // Price of the next tier, or null once the stat is maxed
+    getCost(stat) {
+        return WEAPON_UPGRADES[stat].costs[this.tiers[stat]] ?? null;
+    }
+
+    isMaxed(stat) {
+        return this.getCost(stat) === null;
+    }
+
+    upgrade(stat) {
+        if (!this.isMaxed(stat)) this.tiers[stat]++;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * determinism.test.mjs - Headless Simulation Determinism
+ * Replays and seeded reports rely on a run being a pure function of its
+ * seed and inputs. Steps the simulation in Node and compares state hashes.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { Simulation } from '../src/Simulation.js';
+import { RandomService } from '../src/Random.js';
+import { ReplayRecorder, ReplayPlayer } from '../src/Replay.js';
+import { GAME_MODES, SIM_STEP } from '../src/Config.js';
+
+const MAX_STEPS = 60 * 120;
+
+// Scripted player - sweeps across the arena, firing and using the special
+function scriptedInputs(step) {
+    const inputs = [];
+    if (step % 20 === 0) inputs.push({ type: 'target', x: 200 + 160 * Math.sin(step / 70) });
+    if (step % 15 === 0) inputs.push({ type: 'fire' });
+    if (step % 600 === 0) inputs.push({ type: 'special' });
+    return inputs;
+}
+
+function stateHash(sim) {
+    const round = value => Math.round(value * 1000) / 1000;
+    const state = {
+        tick: sim.tick,
+        status: sim.status,
+        score: sim.score,
+        crs: round(sim.crs.getCRSPercentage()),
+        arena: [sim.arena.width, sim.arena.height],
+        player: [round(sim.player.x), round(sim.player.y), sim.player.integrity],
+        weapon: sim.weapon.tiers,
+        atp: sim.atp,
+        clots: sim.clots.map(clot => [clot.type, round(clot.x), round(clot.y), round(clot.radius)]),
+        pulses: sim.pulses.map(pulse => [round(pulse.x), round(pulse.y)]),
+        powerUps: sim.powerUps.map(pu => [pu.typeKey, round(pu.x), round(pu.y)]),
+        stats: sim.stats,
+        rng: [sim.random.gameplay.state, sim.random.cosmetic.state]
+    };
+    return createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+function newRun(seed, mode) {
+    const sim = new Simulation(new RandomService(seed));
+    sim.start({ seed, mode, width: 405, height: 720, crsModel: 'residence', valveType: 'bioprosthetic' });
+    return sim;
+}
+
+// Runs to the end, feeding inputsFor(step) before each step. Campaign phases
+// continue straight on after betweenPhases, which stands in for the upgrade shop.
+function runToEnd(sim, inputsFor, betweenPhases = () => {}) {
+    while ((sim.isRunning() || sim.status === 'level_complete') && sim.tick < MAX_STEPS) {
+        if (!sim.isRunning()) {
+            betweenPhases(sim);
+            sim.nextLevel();
+            continue;
+        }
+        sim.step(inputsFor(sim.tick));
+    }
+    return stateHash(sim);
+}
+
+for (const mode of Object.values(GAME_MODES)) {
+    test(`${mode}: the same seed and inputs give the same run`, () => {
+        const first = runToEnd(newRun(1234, mode), scriptedInputs);
+        const second = runToEnd(newRun(1234, mode), scriptedInputs);
+        assert.equal(first, second);
+    });
+}
+
+test('a different seed gives a different run', () => {
+    const first = runToEnd(newRun(1234, GAME_MODES.ENDLESS), scriptedInputs);
+    const second = runToEnd(newRun(4321, GAME_MODES.ENDLESS), scriptedInputs);
+    assert.notEqual(first, second);
+});
+
+test('a recorded run replays to the same state', () => {
+    const recorder = new ReplayRecorder();
+    recorder.start({ seed: 99, mode: GAME_MODES.ENDLESS, width: 405, height: 720, stepMs: SIM_STEP });
+    const live = runToEnd(newRun(99, GAME_MODES.ENDLESS), step => {
+        const inputs = scriptedInputs(step);
+        inputs.forEach(input => recorder.record(step, input));
+        return inputs;
+    });
+    const player = new ReplayPlayer(recorder.finish(0, 0));
+    const replayed = runToEnd(newRun(99, GAME_MODES.ENDLESS), step => player.inputsForStep(step));
+    assert.equal(replayed, live);
+});
+
+// Main records window resizes mid-run and shop purchases between phases at
+// the step play resumes on; replays feed them back the same way Main does
+test('a replay repeats mid-run resizes and upgrades bought between phases', () => {
+    const seed = 321;
+    const resizeStep = 240;
+    const recorder = new ReplayRecorder();
+    recorder.start({ seed, mode: GAME_MODES.CAMPAIGN, width: 405, height: 720, stepMs: SIM_STEP });
+
+    const liveSim = newRun(seed, GAME_MODES.CAMPAIGN);
+    const live = runToEnd(liveSim, step => {
+        if (step === resizeStep) {
+            const resize = { type: 'resize', width: 480, height: 640 };
+            recorder.record(step, resize);
+            liveSim.resize(resize.width, resize.height);
+        }
+        const inputs = scriptedInputs(step);
+        inputs.forEach(input => recorder.record(step, input));
+        return inputs;
+    }, sim => {
+        const upgrade = { type: 'upgrade', stat: 'damage' };
+        if (sim.purchaseUpgrade(upgrade.stat)) recorder.record(sim.tick, upgrade);
+    });
+    assert.equal(liveSim.arena.width, 480);
+    assert.ok(liveSim.weapon.tiers.damage > 0, 'the live run should reach the shop and buy an upgrade');
+
+    const player = new ReplayPlayer(recorder.finish(liveSim.tick, liveSim.score));
+    const replayed = runToEnd(newRun(seed, GAME_MODES.CAMPAIGN), step => player.inputsForStep(step), sim => {
+        player.takeInputs(sim.tick, ['upgrade', 'resize']).forEach(input => sim.applyInput(input));
+    });
+    assert.equal(replayed, live);
+});
@@ -0,0 +1,63 @@
+/**
+ * fibrinChain.test.mjs - Fibrin Chain Kill Credit
+ * A chain is one kill, credited when its last piece is destroyed - however
+ * the other pieces left the field.
+ *
+ *   node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/Simulation.js';
+import { RandomService } from '../src/Random.js';
+import { FibrinChain } from '../src/Entities.js';
+import { GAME_MODES } from '../src/Config.js';
+
+function newRun() {
+    const sim = new Simulation(new RandomService(7));
+    sim.start({ seed: 7, mode: GAME_MODES.ENDLESS, width: 405, height: 720, crsModel: 'residence', valveType: 'bioprosthetic' });
+    return sim;
+}
+
+// A two-node chain in the open, cut at its joint
+function cutChain(sim) {
+    const chain = new FibrinChain(200, 150, sim.random, 1, undefined, 2);
+    chain.chain.dropsPowerUp = true;
+    assert.ok(chain.hit(100, chain.x));
+    const halves = sim.breakClot(chain, 50);
+    assert.equal(halves.length, 2);
+    sim.clots = halves;
+    return halves;
+}
+
+test('a chain that loses one half still counts as a kill when the other is destroyed', () => {
+    const sim = newRun();
+    const [lost, kept] = cutChain(sim);
+
+    lost.y = sim.arena.height + 500;
+    sim.step([]);
+    assert.ok(!sim.clots.includes(lost));
+    assert.equal(sim.stats.clotsEscaped, 1);
+    assert.equal(sim.stats.clotsDestroyed, 0);
+
+    sim.clots = sim.clots.filter(clot => clot !== kept);
+    sim.destroyClot(kept, 50);
+    assert.equal(sim.stats.clotsDestroyed, 1);
+    assert.equal(kept.chain.pieces, 0);
+    assert.equal(sim.powerUps.length, 1);
+});
+
+test('a chain struck against the valve leaves its other half as the kill', () => {
+    const sim = newRun();
+    const [struck, kept] = cutChain(sim);
+
+    struck.x = sim.player.x;
+    struck.y = sim.player.y;
+    sim.checkValveCollisions();
+    assert.ok(!sim.clots.includes(struck));
+
+    sim.clots = sim.clots.filter(clot => clot !== kept);
+    sim.destroyClot(kept, 50);
+    assert.equal(sim.stats.clotsDestroyed, 1);
+    assert.equal(kept.chain.pieces, 0);
+});